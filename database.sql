@@ -7,24 +7,32 @@ CREATE DATABASE rtalks_db;
 -- Connect to database
 \c rtalks_db;
 
--- Events table - stores main event information
+-- Events table - stores each event; the featured one backs the single-event endpoints
 CREATE TABLE IF NOT EXISTS events (
     id SERIAL PRIMARY KEY,
+    slug VARCHAR(100) NOT NULL,
     title VARCHAR(255) NOT NULL,
     description TEXT,
     date DATE NOT NULL,
     time TIME NOT NULL,
     location VARCHAR(255),
     price DECIMAL(10,2) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    is_featured BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Stats table - stores event statistics
+-- Stats table - per-metric mode (live, override or floor) and manual value
 CREATE TABLE IF NOT EXISTS stats (
     id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id),
     attendees INTEGER DEFAULT 0,
     partners INTEGER DEFAULT 0,
     speakers INTEGER DEFAULT 0,
+    attendees_mode VARCHAR(20) NOT NULL DEFAULT 'live',
+    partners_mode VARCHAR(20) NOT NULL DEFAULT 'live',
+    speakers_mode VARCHAR(20) NOT NULL DEFAULT 'live',
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -34,25 +42,120 @@ CREATE TABLE IF NOT EXISTS orders (
     customer_name VARCHAR(255) NOT NULL,
     customer_email VARCHAR(255) NOT NULL,
     customer_phone VARCHAR(20) NOT NULL,
+    event_id INTEGER REFERENCES events(id),
+    package_id INTEGER,
     package_name VARCHAR(255) NOT NULL,
+    package_price DECIMAL(10,2),
+    quantity INTEGER NOT NULL DEFAULT 1,
+    unit_price DECIMAL(10,2),
+    promo_code_id INTEGER,
+    promo_code VARCHAR(50),
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
     amount DECIMAL(10,2) NOT NULL,
     status VARCHAR(50) NOT NULL,
     payment_id VARCHAR(255),
+    payment_link_id VARCHAR(255),
+    payment_verification_status VARCHAR(50),
+    payment_verified_at TIMESTAMP,
+    payment_link_expires_at TIMESTAMP,
+    seat_held BOOLEAN NOT NULL DEFAULT false,
+    paid_at TIMESTAMP,
+    failed_at TIMESTAMP,
+    expired_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    refunded_at TIMESTAMP,
+    invoice_number INTEGER UNIQUE,
+    invoiced_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Admins table - stores admin user credentials
+-- Admins table - stores admin accounts, their role and pending invitations
+-- role: owner, finance, content_editor or door_staff; invited admins have no password yet
+-- must_change_password is set for passwords someone else chose; changing the password revokes every session
+-- totp_secret is encrypted; totp_last_step is the last code used, so codes cannot be replayed
 CREATE TABLE IF NOT EXISTS admins (
     id SERIAL PRIMARY KEY,
     email VARCHAR(255) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    password_hash VARCHAR(255),
+    role VARCHAR(30) NOT NULL DEFAULT 'owner',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    invite_token_hash VARCHAR(64),
+    invite_expires_at TIMESTAMP,
+    invited_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    last_login_at TIMESTAMP,
+    must_change_password BOOLEAN NOT NULL DEFAULT false,
+    password_changed_at TIMESTAMP,
+    reset_token_hash VARCHAR(64),
+    reset_expires_at TIMESTAMP,
+    totp_secret TEXT,
+    totp_pending_secret TEXT,
+    totp_enabled_at TIMESTAMP,
+    totp_last_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin setup table - the hashed one-time token for creating the first owner
+CREATE TABLE IF NOT EXISTS admin_setup (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    token_hash VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin sessions table - one row per sign-in; access tokens name the session, refresh tokens are stored hashed
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_refresh_token_hash VARCHAR(64),
+    ip_address VARCHAR(64),
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    rotated_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(30)
+);
+
+-- Admin recovery codes table - hashed one-time codes for signing in without the authenticator app
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin login throttles table - failed sign-ins per email (scope 'account') or IP address (scope 'ip')
+CREATE TABLE IF NOT EXISTS admin_login_throttles (
+    scope VARCHAR(10) NOT NULL,
+    key VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP,
+    retry_at TIMESTAMP,
+    locked_until TIMESTAMP,
+    PRIMARY KEY (scope, key)
+);
+
+-- Admin login events table - sign-ins, failures, lockouts, suspicious sign-ins and unlocks
+CREATE TABLE IF NOT EXISTS admin_login_events (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    ip_address VARCHAR(64),
+    event_type VARCHAR(30) NOT NULL,
+    details TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Site content table - stores dynamic content for the website
 CREATE TABLE IF NOT EXISTS site_content (
     id SERIAL PRIMARY KEY,
-    section VARCHAR(100) NOT NULL UNIQUE,
+    event_id INTEGER REFERENCES events(id),
+    section VARCHAR(100) NOT NULL,
     title VARCHAR(500),
     subtitle VARCHAR(500),
     description TEXT,
@@ -63,11 +166,15 @@ CREATE TABLE IF NOT EXISTS site_content (
 -- Event packages table - stores ticket packages
 CREATE TABLE IF NOT EXISTS event_packages (
     id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id),
     name VARCHAR(255) NOT NULL,
     category VARCHAR(255),
     price DECIMAL(10,2) NOT NULL,
     features JSONB,
     package_type VARCHAR(50) NOT NULL,
+    capacity INTEGER,
+    seats_reserved INTEGER NOT NULL DEFAULT 0,
+    price_tiers JSONB,
     display_order INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -77,6 +184,7 @@ CREATE TABLE IF NOT EXISTS event_packages (
 -- Speakers table - stores speaker information
 CREATE TABLE IF NOT EXISTS speakers (
     id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id),
     name VARCHAR(255) NOT NULL,
     title VARCHAR(255),
     company VARCHAR(255),
@@ -88,14 +196,20 @@ CREATE TABLE IF NOT EXISTS speakers (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Contact forms table - stores contact form submissions
+-- Contact forms table - stores contact form submissions and their place in the inbox
+-- status: new, in_progress, resolved or spam; deleted submissions keep deleted_at
 CREATE TABLE IF NOT EXISTS contact_forms (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     phone VARCHAR(20) NOT NULL,
     email VARCHAR(255) NOT NULL,
     message TEXT NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    status VARCHAR(20) NOT NULL DEFAULT 'new',
+    spam_reason VARCHAR(50),
+    assigned_admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    deleted_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Contact info table - stores business contact information
@@ -108,27 +222,230 @@ CREATE TABLE IF NOT EXISTS contact_info (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Promo codes table - percentage or flat discounts for ticket orders
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL,
+    discount_value DECIMAL(10,2) NOT NULL,
+    package_ids INTEGER[],
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    max_uses INTEGER,
+    max_uses_per_email INTEGER,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order attendees table - the people covered by each order
+CREATE TABLE IF NOT EXISTS order_attendees (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tickets table - one signed ticket per attendee on a paid order
+CREATE TABLE IF NOT EXISTS tickets (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    attendee_id INTEGER NOT NULL UNIQUE REFERENCES order_attendees(id) ON DELETE CASCADE,
+    code VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'valid',
+    checked_in_at TIMESTAMP,
+    checked_in_by INTEGER,
+    scan_count INTEGER NOT NULL DEFAULT 0,
+    voided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Order status history table - audit trail of order lifecycle transitions
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refunds table - full and partial refunds issued through Razorpay
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    razorpay_refund_id VARCHAR(255) UNIQUE,
+    amount DECIMAL(10,2) NOT NULL,
+    status VARCHAR(50) NOT NULL DEFAULT 'pending',
+    reason TEXT,
+    created_by INTEGER,
+    processed_at TIMESTAMP,
+    failed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhook events table - records processed Razorpay webhook events for idempotency
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(255) NOT NULL UNIQUE,
+    event_type VARCHAR(100),
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Invoice counter - single row holding the last invoice number issued
+CREATE TABLE IF NOT EXISTS invoice_counter (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+INSERT INTO invoice_counter (id, last_number) VALUES (1, 0) ON CONFLICT (id) DO NOTHING;
+
+-- Email templates table - editable subject and bodies for transactional email
+CREATE TABLE IF NOT EXISTS email_templates (
+    id SERIAL PRIMARY KEY,
+    template_key VARCHAR(100) NOT NULL UNIQUE,
+    subject VARCHAR(500) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email outbox table - rendered messages waiting to be sent, with retry state
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id SERIAL PRIMARY KEY,
+    template_key VARCHAR(100) NOT NULL,
+    to_email VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    attachments JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions table - agenda slots of an event, with track and room
+CREATE TABLE IF NOT EXISTS sessions (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    track VARCHAR(100),
+    room VARCHAR(100),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Session speakers table - links sessions to the speakers presenting them
+CREATE TABLE IF NOT EXISTS session_speakers (
+    session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    speaker_id INTEGER NOT NULL REFERENCES speakers(id) ON DELETE CASCADE,
+    display_order INTEGER DEFAULT 0,
+    PRIMARY KEY (session_id, speaker_id)
+);
+
+-- Sponsors table - event sponsors and partners by tier, counted in the public stats
+CREATE TABLE IF NOT EXISTS sponsors (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER REFERENCES events(id),
+    name VARCHAR(255) NOT NULL,
+    tier VARCHAR(50) NOT NULL DEFAULT 'partner',
+    description TEXT,
+    logo_url VARCHAR(500),
+    website_url VARCHAR(500),
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Contact form notes table - internal notes admins leave on a submission
+CREATE TABLE IF NOT EXISTS contact_form_notes (
+    id SERIAL PRIMARY KEY,
+    contact_form_id INTEGER NOT NULL REFERENCES contact_forms(id) ON DELETE CASCADE,
+    admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Contact form replies table - replies emailed to the sender, with their outbox message
+CREATE TABLE IF NOT EXISTS contact_form_replies (
+    id SERIAL PRIMARY KEY,
+    contact_form_id INTEGER NOT NULL REFERENCES contact_forms(id) ON DELETE CASCADE,
+    admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    subject VARCHAR(500) NOT NULL,
+    message TEXT NOT NULL,
+    email_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_paid_at ON orders(paid_at);
 CREATE INDEX IF NOT EXISTS idx_orders_email ON orders(customer_email);
+CREATE INDEX IF NOT EXISTS idx_orders_payment_link ON orders(payment_link_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_promo_code ON orders(promo_code_id);
+CREATE INDEX IF NOT EXISTS idx_order_attendees_order ON order_attendees(order_id);
+CREATE INDEX IF NOT EXISTS idx_tickets_order ON tickets(order_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
 CREATE INDEX IF NOT EXISTS idx_event_packages_active ON event_packages(is_active);
 CREATE INDEX IF NOT EXISTS idx_event_packages_order ON event_packages(display_order);
 CREATE INDEX IF NOT EXISTS idx_speakers_active ON speakers(is_active);
 CREATE INDEX IF NOT EXISTS idx_speakers_order ON speakers(display_order);
 CREATE INDEX IF NOT EXISTS idx_contact_forms_created_at ON contact_forms(created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_forms_status ON contact_forms(status);
+CREATE INDEX IF NOT EXISTS idx_contact_forms_email ON contact_forms(LOWER(email), created_at);
+CREATE INDEX IF NOT EXISTS idx_contact_form_notes_form ON contact_form_notes(contact_form_id);
+CREATE INDEX IF NOT EXISTS idx_contact_form_replies_form ON contact_form_replies(contact_form_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_email_lower ON admins(LOWER(email));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_invite_token ON admins(invite_token_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_reset_token ON admins(reset_token_hash);
+CREATE INDEX IF NOT EXISTS idx_admin_login_events_admin ON admin_login_events(admin_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_admin_login_events_created_at ON admin_login_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_previous_token ON admin_sessions(previous_refresh_token_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_slug ON events(slug);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_featured ON events((true)) WHERE is_featured;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_site_content_event_section ON site_content(event_id, section);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stats_event ON stats(event_id);
+CREATE INDEX IF NOT EXISTS idx_event_packages_event ON event_packages(event_id);
+CREATE INDEX IF NOT EXISTS idx_speakers_event ON speakers(event_id);
+CREATE INDEX IF NOT EXISTS idx_orders_event ON orders(event_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_event_start ON sessions(event_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_session_speakers_speaker ON session_speakers(speaker_id);
+CREATE INDEX IF NOT EXISTS idx_sponsors_event ON sponsors(event_id);
+CREATE INDEX IF NOT EXISTS idx_sponsors_active ON sponsors(is_active);
+CREATE INDEX IF NOT EXISTS idx_sponsors_order ON sponsors(display_order);
 
 -- Insert sample data (will be handled by initDb.js in production)
 -- This is just for reference
 
 -- Default event
-INSERT INTO events (title, description, date, time, location, price) VALUES 
-('R-TALKS SUMMIT 2025', 'TALENT ACQUISITION LEADER''S KNOWLEDGE SUMMIT', '2025-03-15', '09:00:00', 'Virtual Event', 2999.00)
+INSERT INTO events (slug, title, description, date, time, location, price, is_featured) VALUES 
+('r-talks-summit-2025', 'R-TALKS SUMMIT 2025', 'TALENT ACQUISITION LEADER''S KNOWLEDGE SUMMIT', '2025-03-15', '09:00:00', 'Virtual Event', 2999.00, true)
 ON CONFLICT DO NOTHING;
 
--- Default stats
-INSERT INTO stats (attendees, partners, speakers) VALUES (500, 20, 50)
+-- Default stats (every metric live)
+INSERT INTO stats (event_id)
+SELECT id FROM events WHERE slug = 'r-talks-summit-2025'
 ON CONFLICT DO NOTHING;
 
--- Note: Admin password hash and other sensitive data will be created by initDb.js
--- Default admin credentials: admin@rtalks.com / admin123
\ No newline at end of file
+-- Note: Admin accounts and other sensitive data are created by initDb.js
+-- The first owner comes from ADMIN_EMAIL/ADMIN_PASSWORD or a one-time setup token printed at start-up
\ No newline at end of file
@@ -1,6 +1,8 @@
 const { Pool } = require('pg');
-const bcrypt = require('bcryptjs');
 const dotenv = require('dotenv');
+const { issueTickets } = require('./services/tickets');
+const { DEFAULT_EMAIL_TEMPLATES } = require('./services/email');
+const { bootstrapAdmin } = require('./services/adminAuth');
 
 dotenv.config();
 
@@ -43,20 +45,28 @@ const initializeDatabase = async () => {
     await pool.query(`
       CREATE TABLE IF NOT EXISTS events (
         id SERIAL PRIMARY KEY,
+        slug VARCHAR(100) NOT NULL,
         title VARCHAR(255) NOT NULL,
         description TEXT,
         date DATE NOT NULL,
         time TIME NOT NULL,
         location VARCHAR(255),
         price DECIMAL(10,2) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        is_featured BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS stats (
         id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id),
         attendees INTEGER DEFAULT 0,
         partners INTEGER DEFAULT 0,
         speakers INTEGER DEFAULT 0,
+        attendees_mode VARCHAR(20) NOT NULL DEFAULT 'live',
+        partners_mode VARCHAR(20) NOT NULL DEFAULT 'live',
+        speakers_mode VARCHAR(20) NOT NULL DEFAULT 'live',
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
@@ -65,23 +75,110 @@ const initializeDatabase = async () => {
         customer_name VARCHAR(255) NOT NULL,
         customer_email VARCHAR(255) NOT NULL,
         customer_phone VARCHAR(20) NOT NULL,
+        event_id INTEGER REFERENCES events(id),
+        package_id INTEGER,
         package_name VARCHAR(255) NOT NULL,
+        package_price DECIMAL(10,2),
+        quantity INTEGER NOT NULL DEFAULT 1,
+        unit_price DECIMAL(10,2),
+        promo_code_id INTEGER,
+        promo_code VARCHAR(50),
+        discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
         amount DECIMAL(10,2) NOT NULL,
         status VARCHAR(50) NOT NULL,
         payment_id VARCHAR(255),
+        payment_link_id VARCHAR(255),
+        payment_verification_status VARCHAR(50),
+        payment_verified_at TIMESTAMP,
+        payment_link_expires_at TIMESTAMP,
+        seat_held BOOLEAN NOT NULL DEFAULT false,
+        paid_at TIMESTAMP,
+        failed_at TIMESTAMP,
+        expired_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        refunded_at TIMESTAMP,
+        invoice_number INTEGER UNIQUE,
+        invoiced_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS admins (
         id SERIAL PRIMARY KEY,
         email VARCHAR(255) NOT NULL UNIQUE,
-        password_hash VARCHAR(255) NOT NULL,
+        name VARCHAR(255),
+        password_hash VARCHAR(255),
+        role VARCHAR(30) NOT NULL DEFAULT 'owner',
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        invite_token_hash VARCHAR(64),
+        invite_expires_at TIMESTAMP,
+        invited_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        last_login_at TIMESTAMP,
+        must_change_password BOOLEAN NOT NULL DEFAULT false,
+        password_changed_at TIMESTAMP,
+        reset_token_hash VARCHAR(64),
+        reset_expires_at TIMESTAMP,
+        totp_secret TEXT,
+        totp_pending_secret TEXT,
+        totp_enabled_at TIMESTAMP,
+        totp_last_step BIGINT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_setup (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        token_hash VARCHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+        previous_refresh_token_hash VARCHAR(64),
+        ip_address VARCHAR(64),
+        user_agent VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        rotated_at TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(30)
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER NOT NULL REFERENCES admins(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_login_throttles (
+        scope VARCHAR(10) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP,
+        retry_at TIMESTAMP,
+        locked_until TIMESTAMP,
+        PRIMARY KEY (scope, key)
+      );
+
+      CREATE TABLE IF NOT EXISTS admin_login_events (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        email VARCHAR(255),
+        ip_address VARCHAR(64),
+        event_type VARCHAR(30) NOT NULL,
+        details TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS site_content (
         id SERIAL PRIMARY KEY,
-        section VARCHAR(100) NOT NULL UNIQUE,
+        event_id INTEGER REFERENCES events(id),
+        section VARCHAR(100) NOT NULL,
         title VARCHAR(500),
         subtitle VARCHAR(500),
         description TEXT,
@@ -91,11 +188,15 @@ const initializeDatabase = async () => {
 
       CREATE TABLE IF NOT EXISTS event_packages (
         id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id),
         name VARCHAR(255) NOT NULL,
         category VARCHAR(255),
         price DECIMAL(10,2) NOT NULL,
         features JSONB,
         package_type VARCHAR(50) NOT NULL,
+        capacity INTEGER,
+        seats_reserved INTEGER NOT NULL DEFAULT 0,
+        price_tiers JSONB,
         display_order INTEGER DEFAULT 0,
         is_active BOOLEAN DEFAULT true,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -104,6 +205,7 @@ const initializeDatabase = async () => {
 
       CREATE TABLE IF NOT EXISTS speakers (
         id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id),
         name VARCHAR(255) NOT NULL,
         title VARCHAR(255),
         company VARCHAR(255),
@@ -121,7 +223,12 @@ const initializeDatabase = async () => {
         phone VARCHAR(20) NOT NULL,
         email VARCHAR(255) NOT NULL,
         message TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        status VARCHAR(20) NOT NULL DEFAULT 'new',
+        spam_reason VARCHAR(50),
+        assigned_admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        deleted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
       CREATE TABLE IF NOT EXISTS contact_info (
@@ -132,17 +239,356 @@ const initializeDatabase = async () => {
         location JSONB,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        description TEXT,
+        discount_type VARCHAR(20) NOT NULL,
+        discount_value DECIMAL(10,2) NOT NULL,
+        package_ids INTEGER[],
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        max_uses INTEGER,
+        max_uses_per_email INTEGER,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS order_attendees (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        phone VARCHAR(20),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS tickets (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        attendee_id INTEGER NOT NULL UNIQUE REFERENCES order_attendees(id) ON DELETE CASCADE,
+        code VARCHAR(64) NOT NULL UNIQUE,
+        status VARCHAR(20) NOT NULL DEFAULT 'valid',
+        checked_in_at TIMESTAMP,
+        checked_in_by INTEGER,
+        scan_count INTEGER NOT NULL DEFAULT 0,
+        voided_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        reason TEXT,
+        changed_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS refunds (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        razorpay_refund_id VARCHAR(255) UNIQUE,
+        amount DECIMAL(10,2) NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'pending',
+        reason TEXT,
+        created_by INTEGER,
+        processed_at TIMESTAMP,
+        failed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id SERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL UNIQUE,
+        event_type VARCHAR(100),
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS invoice_counter (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        last_number INTEGER NOT NULL DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS email_templates (
+        id SERIAL PRIMARY KEY,
+        template_key VARCHAR(100) NOT NULL UNIQUE,
+        subject VARCHAR(500) NOT NULL,
+        body_text TEXT NOT NULL,
+        body_html TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id SERIAL PRIMARY KEY,
+        template_key VARCHAR(100) NOT NULL,
+        to_email VARCHAR(255) NOT NULL,
+        subject VARCHAR(500) NOT NULL,
+        body_text TEXT NOT NULL,
+        body_html TEXT,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        attachments JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER NOT NULL REFERENCES events(id),
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        track VARCHAR(100),
+        room VARCHAR(100),
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_at > starts_at)
+      );
+
+      CREATE TABLE IF NOT EXISTS session_speakers (
+        session_id INTEGER NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        speaker_id INTEGER NOT NULL REFERENCES speakers(id) ON DELETE CASCADE,
+        display_order INTEGER DEFAULT 0,
+        PRIMARY KEY (session_id, speaker_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS sponsors (
+        id SERIAL PRIMARY KEY,
+        event_id INTEGER REFERENCES events(id),
+        name VARCHAR(255) NOT NULL,
+        tier VARCHAR(50) NOT NULL DEFAULT 'partner',
+        description TEXT,
+        logo_url VARCHAR(500),
+        website_url VARCHAR(500),
+        display_order INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_form_notes (
+        id SERIAL PRIMARY KEY,
+        contact_form_id INTEGER NOT NULL REFERENCES contact_forms(id) ON DELETE CASCADE,
+        admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        note TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_form_replies (
+        id SERIAL PRIMARY KEY,
+        contact_form_id INTEGER NOT NULL REFERENCES contact_forms(id) ON DELETE CASCADE,
+        admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        subject VARCHAR(500) NOT NULL,
+        message TEXT NOT NULL,
+        email_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Bring tables created by earlier versions up to date
+    await pool.query(`
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_link_id VARCHAR(255);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_verification_status VARCHAR(50);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_verified_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS package_id INTEGER;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS package_price DECIMAL(10,2);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_link_expires_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS seat_held BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE event_packages ADD COLUMN IF NOT EXISTS capacity INTEGER;
+      ALTER TABLE event_packages ADD COLUMN IF NOT EXISTS seats_reserved INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code_id INTEGER;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_orders_promo_code ON orders(promo_code_id);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS unit_price DECIMAL(10,2);
+      ALTER TABLE event_packages ADD COLUMN IF NOT EXISTS price_tiers JSONB;
+      CREATE INDEX IF NOT EXISTS idx_order_attendees_order ON order_attendees(order_id);
+      CREATE INDEX IF NOT EXISTS idx_tickets_order ON tickets(order_id);
+      CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+      CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoice_number INTEGER UNIQUE;
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoiced_at TIMESTAMP;
+      INSERT INTO invoice_counter (id, last_number) VALUES (1, 0) ON CONFLICT (id) DO NOTHING;
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS slug VARCHAR(100);
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS is_featured BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE events ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE event_packages ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+      ALTER TABLE speakers ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+      ALTER TABLE site_content ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+      ALTER TABLE stats ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+      ALTER TABLE orders ADD COLUMN IF NOT EXISTS event_id INTEGER REFERENCES events(id);
+      -- Content sections are unique per event rather than globally
+      ALTER TABLE site_content DROP CONSTRAINT IF EXISTS site_content_section_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_site_content_event_section ON site_content(event_id, section);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_stats_event ON stats(event_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_events_featured ON events((true)) WHERE is_featured;
+      CREATE INDEX IF NOT EXISTS idx_event_packages_event ON event_packages(event_id);
+      CREATE INDEX IF NOT EXISTS idx_speakers_event ON speakers(event_id);
+      CREATE INDEX IF NOT EXISTS idx_orders_event ON orders(event_id);
+      CREATE INDEX IF NOT EXISTS idx_sessions_event_start ON sessions(event_id, starts_at);
+      CREATE INDEX IF NOT EXISTS idx_session_speakers_speaker ON session_speakers(speaker_id);
+      -- Stats are derived from live data; the stored numbers are now manual overrides or floors
+      ALTER TABLE stats ADD COLUMN IF NOT EXISTS attendees_mode VARCHAR(20) NOT NULL DEFAULT 'live';
+      ALTER TABLE stats ADD COLUMN IF NOT EXISTS partners_mode VARCHAR(20) NOT NULL DEFAULT 'live';
+      ALTER TABLE stats ADD COLUMN IF NOT EXISTS speakers_mode VARCHAR(20) NOT NULL DEFAULT 'live';
+      CREATE INDEX IF NOT EXISTS idx_sponsors_event ON sponsors(event_id);
+      CREATE INDEX IF NOT EXISTS idx_orders_paid_at ON orders(paid_at);
+      ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS tier VARCHAR(50) NOT NULL DEFAULT 'partner';
+      ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS description TEXT;
+      ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS logo_url VARCHAR(500);
+      ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS website_url VARCHAR(500);
+      ALTER TABLE sponsors ADD COLUMN IF NOT EXISTS display_order INTEGER DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_sponsors_active ON sponsors(is_active);
+      CREATE INDEX IF NOT EXISTS idx_sponsors_order ON sponsors(display_order);
+      ALTER TABLE contact_forms ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new';
+      ALTER TABLE contact_forms ADD COLUMN IF NOT EXISTS spam_reason VARCHAR(50);
+      ALTER TABLE contact_forms ADD COLUMN IF NOT EXISTS assigned_admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+      ALTER TABLE contact_forms ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE contact_forms ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_contact_forms_status ON contact_forms(status);
+      CREATE INDEX IF NOT EXISTS idx_contact_forms_email ON contact_forms(LOWER(email), created_at);
+      CREATE INDEX IF NOT EXISTS idx_contact_form_notes_form ON contact_form_notes(contact_form_id);
+      CREATE INDEX IF NOT EXISTS idx_contact_form_replies_form ON contact_form_replies(contact_form_id);
+      -- Admins from before roles were all-powerful, so they become owners
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS name VARCHAR(255);
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'owner';
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS invite_token_hash VARCHAR(64);
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS invite_expires_at TIMESTAMP;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      -- Invited admins have no password until they accept
+      ALTER TABLE admins ALTER COLUMN password_hash DROP NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_email_lower ON admins(LOWER(email));
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_invite_token ON admins(invite_token_hash);
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS reset_token_hash VARCHAR(64);
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS reset_expires_at TIMESTAMP;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_reset_token ON admins(reset_token_hash);
+      CREATE INDEX IF NOT EXISTS idx_admin_login_events_admin ON admin_login_events(admin_id, event_type);
+      CREATE INDEX IF NOT EXISTS idx_admin_login_events_created_at ON admin_login_events(created_at);
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+      ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+      CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin ON admin_recovery_codes(admin_id);
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions(admin_id);
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_previous_token ON admin_sessions(previous_refresh_token_hash);
+
+      -- Older orders kept the payment link ID in payment_id until they were paid
+      UPDATE orders SET payment_link_id = payment_id
+      WHERE payment_link_id IS NULL AND payment_id LIKE 'plink_%';
+
+      -- 'completed' was renamed to 'paid' when the order lifecycle was introduced
+      UPDATE orders SET status = 'paid', paid_at = COALESCE(payment_verified_at, created_at)
+      WHERE status = 'completed';
+
+      -- Orders paid before invoicing are numbered in the order they were paid
+      WITH uninvoiced AS (
+        SELECT id, paid_at, ROW_NUMBER() OVER (ORDER BY paid_at, id) AS position
+        FROM orders
+        WHERE paid_at IS NOT NULL AND invoice_number IS NULL
+      ),
+      counter AS (
+        UPDATE invoice_counter
+        SET last_number = last_number + (SELECT COUNT(*) FROM uninvoiced)
+        WHERE id = 1
+        RETURNING last_number - (SELECT COUNT(*) FROM uninvoiced) AS base
+      )
+      UPDATE orders o SET invoice_number = counter.base + uninvoiced.position, invoiced_at = uninvoiced.paid_at
+      FROM uninvoiced, counter
+      WHERE o.id = uninvoiced.id;
+
+      -- Events created before slugs get one from their title, suffixed with the ID when taken
+      WITH slugged AS (
+        SELECT id, TRIM(BOTH '-' FROM REGEXP_REPLACE(LOWER(title), '[^a-z0-9]+', '-', 'g')) AS base
+        FROM events
+        WHERE slug IS NULL
+      )
+      UPDATE events e
+      SET slug = CASE
+        WHEN slugged.base = '' OR EXISTS (SELECT 1 FROM events other WHERE other.slug = slugged.base)
+          OR EXISTS (SELECT 1 FROM slugged twin WHERE twin.base = slugged.base AND twin.id < slugged.id)
+        THEN CONCAT_WS('-', NULLIF(slugged.base, ''), e.id)
+        ELSE slugged.base
+      END
+      FROM slugged
+      WHERE e.id = slugged.id;
+      ALTER TABLE events ALTER COLUMN slug SET NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_events_slug ON events(slug);
+
+      -- Orders placed before group purchases were for the buyer alone
+      INSERT INTO order_attendees (order_id, name, email, phone)
+      SELECT o.id, o.customer_name, o.customer_email, o.customer_phone
+      FROM orders o
+      WHERE NOT EXISTS (SELECT 1 FROM order_attendees a WHERE a.order_id = o.id);
+
+      -- Orders placed before seat tracking take their seat while pending or paid
+      WITH backfilled AS (
+        UPDATE orders SET seat_held = true
+        WHERE package_id IS NOT NULL AND status IN ('pending', 'paid') AND seat_held = false
+        RETURNING package_id, quantity
+      )
+      UPDATE event_packages p SET seats_reserved = p.seats_reserved + held.count
+      FROM (SELECT package_id, SUM(quantity) AS count FROM backfilled GROUP BY package_id) held
+      WHERE p.id = held.package_id;
     `);
 
     console.log('✅ Database schema created successfully');
 
+    // Issue tickets for paid orders that predate ticketing (codes are signed, so a secret is needed)
+    if (process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET) {
+      const untickedOrders = await pool.query(`
+        SELECT DISTINCT o.id
+        FROM orders o
+        JOIN order_attendees a ON a.order_id = o.id
+        LEFT JOIN tickets t ON t.attendee_id = a.id
+        WHERE o.status = 'paid' AND t.id IS NULL
+      `);
+      for (const order of untickedOrders.rows) {
+        await issueTickets(pool, order.id);
+      }
+      if (untickedOrders.rows.length > 0) {
+        console.log(`🎟️ Issued tickets for ${untickedOrders.rows.length} paid order(s)`);
+      }
+    }
+
+    // Add default email templates; edited templates are left alone
+    for (const [templateKey, template] of Object.entries(DEFAULT_EMAIL_TEMPLATES)) {
+      await pool.query(
+        'INSERT INTO email_templates (template_key, subject, body_text, body_html) VALUES ($1, $2, $3, $4) ON CONFLICT (template_key) DO NOTHING',
+        [templateKey, template.subject, template.body_text, template.body_html]
+      );
+    }
+
     // Insert initial data only if tables are empty
     const eventCount = await pool.query('SELECT COUNT(*) FROM events');
     if (parseInt(eventCount.rows[0].count) === 0) {
       await pool.query(`
-        INSERT INTO events (title, description, date, time, location, price) 
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO events (slug, title, description, date, time, location, price, is_featured) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, true)
       `, [
+        'r-talks-summit-2025',
         'R-TALKS SUMMIT 2025',
         'TALENT ACQUISITION LEADER\'S KNOWLEDGE SUMMIT',
         '2025-03-15',
@@ -155,21 +601,12 @@ const initializeDatabase = async () => {
 
     const statsCount = await pool.query('SELECT COUNT(*) FROM stats');
     if (parseInt(statsCount.rows[0].count) === 0) {
-      await pool.query('INSERT INTO stats (attendees, partners, speakers) VALUES ($1, $2, $3)', [500, 20, 50]);
+      await pool.query('INSERT INTO stats DEFAULT VALUES');
       console.log('📈 Default stats created');
     }
     
-    // Check if admin exists, if not create default admin
-    const adminCount = await pool.query('SELECT COUNT(*) FROM admins');
-    if (parseInt(adminCount.rows[0].count) === 0) {
-      // Generate hash for password 'admin123'
-      const passwordHash = await bcrypt.hash('admin123', 10);
-      await pool.query(
-        'INSERT INTO admins (email, password_hash) VALUES ($1, $2)',
-        ['admin@rtalks.com', passwordHash]
-      );
-      console.log('👤 Default admin user created (admin@rtalks.com / admin123)');
-    }
+    // Create the first owner, or clear the old default password
+    await bootstrapAdmin(pool);
 
     // Insert default homepage content
     const contentCount = await pool.query('SELECT COUNT(*) FROM site_content');
@@ -335,6 +772,35 @@ const initializeDatabase = async () => {
       console.log('🎤 Default speakers created');
     }
 
+    // Rows from before multi-event support (and the defaults above) belong to the featured event
+    await pool.query(`
+      UPDATE events SET is_featured = true
+      WHERE id = (SELECT id FROM events WHERE is_active = true ORDER BY date DESC, id DESC LIMIT 1)
+      AND NOT EXISTS (SELECT 1 FROM events WHERE is_featured = true);
+
+      WITH featured AS (SELECT id FROM events WHERE is_featured = true)
+      UPDATE event_packages SET event_id = featured.id FROM featured WHERE event_packages.event_id IS NULL;
+
+      WITH featured AS (SELECT id FROM events WHERE is_featured = true)
+      UPDATE speakers SET event_id = featured.id FROM featured WHERE speakers.event_id IS NULL;
+
+      WITH featured AS (SELECT id FROM events WHERE is_featured = true)
+      UPDATE site_content SET event_id = featured.id FROM featured WHERE site_content.event_id IS NULL;
+
+      WITH featured AS (SELECT id FROM events WHERE is_featured = true)
+      UPDATE stats SET event_id = featured.id
+      FROM featured
+      WHERE stats.id = (SELECT MIN(id) FROM stats WHERE event_id IS NULL)
+      AND NOT EXISTS (SELECT 1 FROM stats WHERE stats.event_id = featured.id);
+
+      UPDATE orders o SET event_id = p.event_id
+      FROM event_packages p
+      WHERE o.event_id IS NULL AND o.package_id = p.id;
+
+      WITH featured AS (SELECT id FROM events WHERE is_featured = true)
+      UPDATE orders SET event_id = featured.id FROM featured WHERE orders.event_id IS NULL;
+    `);
+
     // Insert default contact information
     const contactInfoCount = await pool.query('SELECT COUNT(*) FROM contact_info');
     if (parseInt(contactInfoCount.rows[0].count) === 0) {
@@ -365,7 +831,6 @@ const initializeDatabase = async () => {
 
     console.log('');
     console.log('🎉 Database initialization completed successfully!');
-    console.log('🔑 Admin Login: admin@rtalks.com / admin123');
     console.log('📊 Database ready for production use');
     console.log('');
     
@@ -4,6 +4,36 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const dotenv = require('dotenv');
+const { getOrderHistory, commitOrderTransition } = require('../services/orderLifecycle');
+const { createRefund, getOrderRefunds, getRefundableAmount } = require('../services/refunds');
+const { DISCOUNT_TYPES, normalizeCode } = require('../services/promoCodes');
+const { parsePriceTiers } = require('../services/pricing');
+const { getOrderTickets, checkInTicket, getCheckInStats } = require('../services/tickets');
+const { getOrderDocumentData, formatInvoiceNumber, buildInvoicePdf } = require('../services/documents');
+const { DEFAULT_EMAIL_TEMPLATES, retryEmail } = require('../services/email');
+const { slugify, isValidSlug, getFeaturedEvent, setFeaturedEvent } = require('../services/events');
+const { parseSessionInput, getEventSessions, getSession, saveSession } = require('../services/agenda');
+const { getStatsBreakdown, updateStatsSettings, invalidateStats } = require('../services/stats');
+const { SPONSOR_TIERS } = require('../services/sponsors');
+const { parseOrderQuery, buildOrderFilter, buildOrderSort, searchOrders } = require('../services/orderSearch');
+const { parseExportOptions, buildExportSelect, streamExport } = require('../services/exports');
+const { parseImportPayload, runImport } = require('../services/imports');
+const {
+    parseContactQuery, buildContactFilter, searchContactForms, getContactForm, updateContactForm,
+    addContactNote, replyToContactForm, deleteContactForm
+} = require('../services/contactInbox');
+const { getRolePermissions, hasPermission } = require('../services/permissions');
+const { listAdmins, getAdmin, createAdmin, inviteAdmin, acceptInvite, updateAdmin, setAdminActive } = require('../services/admins');
+const { getSetupStatus, completeSetup, confirmPassword, changePassword, requestPasswordReset, resetPassword } = require('../services/adminAuth');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockAccount, getLoginEvents } = require('../services/loginThrottle');
+const {
+    getAccessTokenMinutes, getRefreshTokenDays, createSession, rotateRefreshToken, findSessionByRefreshToken,
+    listSessions, revokeSession, revokeAdminSessions
+} = require('../services/adminSessions');
+const {
+    isTwoFactorRequired, getTwoFactorStatus, startEnrollment, confirmEnrollment, verifyTwoFactor, regenerateRecoveryCodes, disableTwoFactor
+} = require('../services/twoFactor');
+const { parseAnalyticsFilters, getSalesSummary, getSalesSeries, getPackageRevenue, getConversion, getRefundTotals } = require('../services/analytics');
 
 dotenv.config();
 
@@ -57,100 +87,595 @@ const checkDbConnection = (req, res, next) => {
     next();
 };
 
-// Middleware to verify admin token
-const verifyAdminToken = (req, res, next) => {
-    const token = req.cookies.adminToken;
+// Routes an admin who must change their password can still use, by route path
+const PASSWORD_CHANGE_ROUTES = ['/check-auth', '/password', '/auth/sessions', '/auth/sessions/:id'];
+// Routes an admin whose role requires two-factor authentication can use before enrolling
+const TWO_FACTOR_SETUP_ROUTES = [...PASSWORD_CHANGE_ROUTES, '/2fa', '/2fa/setup', '/2fa/enable'];
+
+// The access token from an Authorization: Bearer header, or else the adminToken cookie
+const getAccessToken = (req) => {
+    const header = req.get('Authorization');
+    if (header && /^Bearer\s+\S+$/i.test(header)) {
+        return header.replace(/^Bearer\s+/i, '');
+    }
+    return req.cookies.adminToken;
+};
+
+// Middleware to verify admin token. The admin and their session are loaded on
+// every request, so disabling an account, changing its role or revoking the
+// session takes effect straight away.
+const verifyAdminToken = async (req, res, next) => {
+    const token = getAccessToken(req);
     
     if (!token) {
         return res.status(401).json({ error: 'No token provided' });
     }
 
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+    // Two-factor challenge tokens only open the second sign-in step, and tokens
+    // from before sessions existed name no session
+    if (decoded.purpose || !decoded.sessionId) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    if (!pool) {
+        return res.status(503).json({ error: 'Database connection not available' });
+    }
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.adminId = decoded.adminId;
+        const result = await pool.query(`
+            SELECT a.id, a.email, a.name, a.role, a.is_active, a.must_change_password,
+                   a.totp_enabled_at IS NOT NULL AS two_factor_enabled,
+                   (s.id IS NOT NULL AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP) AS session_open
+            FROM admins a
+            LEFT JOIN admin_sessions s ON s.id = $2 AND s.admin_id = a.id
+            WHERE a.id = $1 AND a.password_hash IS NOT NULL
+        `, [decoded.adminId, decoded.sessionId]);
+        const admin = result.rows[0];
+        if (!admin || !admin.is_active) {
+            return res.status(401).json({ error: 'Account is disabled', code: 'ADMIN_DISABLED' });
+        }
+        // Signing out, revoking the session or changing the password ends it
+        if (!admin.session_open) {
+            return res.status(401).json({ error: 'Your session has ended, please sign in again', code: 'SESSION_REVOKED' });
+        }
+        if (admin.must_change_password && !PASSWORD_CHANGE_ROUTES.includes(req.route.path)) {
+            return res.status(403).json({ error: 'Change your password to continue', code: 'PASSWORD_CHANGE_REQUIRED' });
+        }
+        admin.two_factor_required = isTwoFactorRequired(admin.role);
+        if (admin.two_factor_required && !admin.two_factor_enabled && !TWO_FACTOR_SETUP_ROUTES.includes(req.route.path)) {
+            return res.status(403).json({ error: 'Turn on two-factor authentication to continue', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+        }
+
+        delete admin.session_open;
+        req.adminId = admin.id;
+        req.admin = admin;
+        req.sessionId = decoded.sessionId;
         next();
     } catch (error) {
-        res.status(401).json({ error: 'Invalid token' });
+        console.error('Admin lookup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Middleware to allow only admins whose role grants a permission
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ error: 'Your role does not allow this', code: 'FORBIDDEN', permission: permission });
+    }
+    next();
+};
+
+// The refresh token cookie is only sent to the admin API
+const REFRESH_COOKIE_PATH = '/api/admin';
+
+const cookieOptions = (maxAge, path) => ({
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    maxAge: maxAge,
+    path: path
+});
+
+// Sign a short-lived access token for a session and set it, with the refresh
+// token, in cookies and the response header for flexibility
+const issueAdminTokens = (res, session, refreshToken) => {
+    const accessTokenMinutes = getAccessTokenMinutes();
+    const token = jwt.sign(
+        { adminId: session.admin_id, sessionId: session.id },
+        process.env.JWT_SECRET,
+        { expiresIn: `${accessTokenMinutes}m` }
+    );
+
+    res.cookie('adminToken', token, cookieOptions(accessTokenMinutes * 60 * 1000, '/'));
+    res.cookie('adminRefreshToken', refreshToken, cookieOptions(getRefreshTokenDays() * 24 * 60 * 60 * 1000, REFRESH_COOKIE_PATH));
+    // Also send token in header for non-cookie approaches
+    res.set('Authorization', `Bearer ${token}`);
+    return { token: token, refreshToken: refreshToken, expiresIn: accessTokenMinutes * 60 };
+};
+
+// Start a session for the device making the request
+const startSession = async (req, res, adminId) => {
+    const { session, refreshToken } = await createSession(pool, adminId, { ip: req.ip, userAgent: req.get('User-Agent') });
+    return issueAdminTokens(res, session, refreshToken);
+};
+
+const clearSessionCookies = (res) => {
+    res.clearCookie('adminToken', { path: '/' });
+    res.clearCookie('adminRefreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Finish a sign-in: record it, start a session and tell the admin panel what
+// the admin has to do before anything else
+const completeLogin = async (req, res, admin, details) => {
+    await recordLoginSuccess(pool, { admin: admin, ip: req.ip, userAgent: req.get('User-Agent') });
+    await pool.query('UPDATE admins SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [admin.id]);
+
+    const tokens = await startSession(req, res, admin.id);
+    res.json({
+        success: true,
+        ...tokens,
+        admin: { id: admin.id, email: admin.email, name: admin.name, role: admin.role },
+        permissions: getRolePermissions(admin.role),
+        mustChangePassword: admin.must_change_password,
+        twoFactorSetupRequired: isTwoFactorRequired(admin.role) && !admin.totp_enabled_at,
+        ...details
+    });
+};
+
+// Throttled sign-ins say when to try again
+const sendLoginError = (res, error, label) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
     }
+    sendAdminError(res, error, label);
 };
 
-// Admin login
+// Admin login. Failed attempts slow down and then lock the email and the IP
+// address for a while (see services/loginThrottle.js). Admins with two-factor
+// on get a challenge token for POST /login/2fa instead of a session.
 router.post('/login', checkDbConnection, async (req, res) => {
     try {
         const { email, password } = req.body;
+
+        await checkLoginAllowed(pool, email, req.ip);
         
         const result = await pool.query(
-            'SELECT * FROM admins WHERE email = $1',
-            [email]
+            'SELECT * FROM admins WHERE LOWER(email) = LOWER($1)',
+            [String(email || '')]
         );
 
         const admin = result.rows[0];
         
-        if (!admin || !(await bcrypt.compare(password, admin.password_hash))) {
+        // Disabled admins and invitations not yet accepted cannot sign in
+        if (!admin || !admin.is_active || !admin.password_hash || !(await bcrypt.compare(String(password || ''), admin.password_hash))) {
+            await recordLoginFailure(pool, { email: email, ip: req.ip, adminId: admin ? admin.id : null });
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = jwt.sign(
-            { adminId: admin.id },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (admin.totp_enabled_at) {
+            const challengeToken = jwt.sign(
+                { adminId: admin.id, purpose: 'two_factor' },
+                process.env.JWT_SECRET,
+                { expiresIn: '5m' }
+            );
+            return res.json({ success: true, twoFactorRequired: true, challengeToken: challengeToken });
+        }
 
-        // Set token in both cookie and response header for flexibility
-        const cookieOptions = {
-            httpOnly: true,
-            secure: true,
-            sameSite: 'none',
-            maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            path: '/'
-        };
-        
-        res.cookie('adminToken', token, cookieOptions);
-        // Also send token in header for non-cookie approaches
-        res.set('Authorization', `Bearer ${token}`);
-        res.json({ success: true, token: token });
+        await completeLogin(req, res, admin);
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        sendLoginError(res, error, 'Login error');
+    }
+});
+
+// Second sign-in step: the challengeToken from /login with a code from the
+// authenticator app, or a recoveryCode. Wrong codes count as failed sign-ins.
+router.post('/login/2fa', checkDbConnection, async (req, res) => {
+    try {
+        let decoded;
+        try {
+            decoded = jwt.verify(String(req.body.challengeToken || ''), process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+
+        const result = decoded && decoded.purpose === 'two_factor'
+            ? await pool.query(
+                'SELECT * FROM admins WHERE id = $1 AND is_active = true AND password_hash IS NOT NULL AND totp_enabled_at IS NOT NULL',
+                [decoded.adminId]
+            )
+            : { rows: [] };
+        const admin = result.rows[0];
+        if (!admin) {
+            return res.status(401).json({ error: 'The sign-in has expired, please start again', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+        }
+
+        await checkLoginAllowed(pool, admin.email, req.ip);
+
+        let verified;
+        try {
+            verified = await verifyTwoFactor(pool, admin.id, { code: req.body.code, recoveryCode: req.body.recoveryCode });
+        } catch (error) {
+            if (error.code === 'TWO_FACTOR_INVALID') {
+                await recordLoginFailure(pool, { email: admin.email, ip: req.ip, adminId: admin.id });
+            }
+            throw error;
+        }
+
+        await completeLogin(req, res, admin, verified.usedRecoveryCode ? { recoveryCodesRemaining: verified.recoveryCodesRemaining } : {});
+    } catch (error) {
+        sendLoginError(res, error, 'Two-factor login error');
     }
 });
 
 // Check auth status
 router.get('/check-auth', verifyAdminToken, (req, res) => {
-    res.json({ authenticated: true });
+    res.json({ authenticated: true, admin: req.admin, permissions: getRolePermissions(req.admin.role) });
+});
+
+// Swap the refresh token (adminRefreshToken cookie, or refreshToken in the body)
+// for a new access token and refresh token. Each refresh token works once.
+router.post('/refresh', checkDbConnection, async (req, res) => {
+    try {
+        const refreshToken = req.body.refreshToken || req.cookies.adminRefreshToken;
+        const { session, refreshToken: newRefreshToken } = await rotateRefreshToken(
+            pool, refreshToken, { ip: req.ip, userAgent: req.get('User-Agent') }
+        );
+        res.json({ success: true, ...issueAdminTokens(res, session, newRefreshToken) });
+    } catch (error) {
+        if (error.code === 'REFRESH_TOKEN_INVALID') {
+            clearSessionCookies(res);
+        }
+        sendAdminError(res, error, 'Refresh error');
+    }
 });
 
-// Logout
-router.post('/logout', (req, res) => {
-    res.clearCookie('adminToken');
+// Logout: revokes the current session, found from the refresh token or else the access token
+router.post('/logout', async (req, res) => {
+    try {
+        let session = pool ? await findSessionByRefreshToken(pool, req.body.refreshToken || req.cookies.adminRefreshToken) : null;
+        if (!session && pool && getAccessToken(req)) {
+            // An expired access token still names its session
+            const decoded = jwt.verify(getAccessToken(req), process.env.JWT_SECRET, { ignoreExpiration: true });
+            if (decoded.sessionId) {
+                session = { id: decoded.sessionId, admin_id: decoded.adminId };
+            }
+        }
+        if (session) {
+            await revokeSession(pool, session.admin_id, session.id, 'logout');
+        }
+    } catch (error) {
+        // Already ended, or a token that is not ours: there is nothing to revoke
+        if (error.code !== 'SESSION_NOT_FOUND' && error.name !== 'JsonWebTokenError') {
+            console.error('Logout error:', error);
+        }
+    }
+    clearSessionCookies(res);
     res.json({ success: true });
 });
 
-// Get admin stats
-router.get('/stats', verifyAdminToken, checkDbConnection, async (req, res) => {
+// ADMIN ACCOUNTS
+
+const sendAdminError = (res, error, label) => {
+    if (error.statusCode) {
+        // Weak passwords list every rule they break
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, problems: error.problems });
+    }
+    console.error(`${label}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Whether the first owner still has to be created
+router.get('/setup', checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getSetupStatus(pool));
+    } catch (error) {
+        sendAdminError(res, error, 'Setup status error');
+    }
+});
+
+// Create the first owner with the one-time token printed at start-up (no sign-in needed)
+router.post('/setup', checkDbConnection, async (req, res) => {
+    try {
+        const admin = await completeSetup(pool, req.body);
+        res.status(201).json({ success: true, admin: admin });
+    } catch (error) {
+        sendAdminError(res, error, 'Setup error');
+    }
+});
+
+// Change your own password. Every session is revoked; this device gets a new one.
+router.post('/password', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        await changePassword(pool, req.adminId, req.body.currentPassword, req.body.newPassword);
+        res.json({ success: true, ...(await startSession(req, res, req.adminId)) });
+    } catch (error) {
+        sendAdminError(res, error, 'Change password error');
+    }
+});
+
+// Email a password reset link. The answer is the same whether or not the email
+// belongs to an admin.
+router.post('/password/forgot', checkDbConnection, async (req, res) => {
+    try {
+        await requestPasswordReset(pool, req.body.email);
+        res.json({ success: true, message: 'If that email belongs to an admin, a reset link is on its way' });
+    } catch (error) {
+        sendAdminError(res, error, 'Password reset request error');
+    }
+});
+
+// Choose a new password with the token from a reset email
+router.post('/password/reset', checkDbConnection, async (req, res) => {
+    try {
+        await resetPassword(pool, req.body.token, req.body.password);
+        res.json({ success: true });
+    } catch (error) {
+        sendAdminError(res, error, 'Password reset error');
+    }
+});
+
+// Accept an invitation by choosing a password (no sign-in needed)
+router.post('/invites/accept', checkDbConnection, async (req, res) => {
+    try {
+        const admin = await acceptInvite(pool, req.body.token, req.body.password);
+        res.json({ success: true, email: admin.email });
+    } catch (error) {
+        sendAdminError(res, error, 'Accept invite error');
+    }
+});
+
+// Get all admins with their role and status (active, invited, password_reset_required or disabled)
+router.get('/admins', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await listAdmins(pool));
+    } catch (error) {
+        sendAdminError(res, error, 'Admins fetch error');
+    }
+});
+
+// Create an admin with a password
+router.post('/admins', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await createAdmin(pool, req.body, req.adminId));
+    } catch (error) {
+        sendAdminError(res, error, 'Create admin error');
+    }
+});
+
+// Invite an admin by email; they choose their own password
+router.post('/admins/invite', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await inviteAdmin(pool, req.body, req.adminId));
+    } catch (error) {
+        sendAdminError(res, error, 'Invite admin error');
+    }
+});
+
+// Change the name or role of an admin
+router.put('/admins/:id', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await updateAdmin(pool, parseInt(req.params.id) || 0, { name: req.body.name, role: req.body.role }));
+    } catch (error) {
+        sendAdminError(res, error, 'Update admin error');
+    }
+});
+
+// Disable an admin; they are signed out on their next request
+router.post('/admins/:id/disable', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await setAdminActive(pool, parseInt(req.params.id) || 0, false));
+    } catch (error) {
+        sendAdminError(res, error, 'Disable admin error');
+    }
+});
+
+// Re-enable a disabled admin
+router.post('/admins/:id/enable', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await setAdminActive(pool, parseInt(req.params.id) || 0, true));
+    } catch (error) {
+        sendAdminError(res, error, 'Enable admin error');
+    }
+});
+
+// Clear an admin's failed sign-ins and lift their lockout
+router.post('/admins/:id/unlock', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        const admin = await getAdmin(pool, parseInt(req.params.id) || 0);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+        }
+        const unlocked = await unlockAccount(pool, admin, req.adminId);
+        res.json({ success: true, unlocked: unlocked, admin: await getAdmin(pool, admin.id) });
+    } catch (error) {
+        sendAdminError(res, error, 'Unlock admin error');
+    }
+});
+
+// Sign-in history: failures, lockouts, suspicious sign-ins and unlocks
+// (?type=account_locked,suspicious_login&admin_id=&limit=)
+router.get('/login-events', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getLoginEvents(pool, req.query));
+    } catch (error) {
+        sendAdminError(res, error, 'Login events fetch error');
+    }
+});
+
+// Turn off two-factor authentication for an admin who lost their device and recovery codes
+router.post('/admins/:id/2fa/reset', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id) || 0;
+        await disableTwoFactor(pool, id);
+        res.json({ success: true, admin: await getAdmin(pool, id) });
+    } catch (error) {
+        sendAdminError(res, error, 'Reset two-factor error');
+    }
+});
+
+// An admin's open sessions, by device and IP address
+router.get('/admins/:id/sessions', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await listSessions(pool, parseInt(req.params.id) || 0, req.sessionId));
+    } catch (error) {
+        sendAdminError(res, error, 'Admin sessions fetch error');
+    }
+});
+
+// Sign an admin out everywhere
+router.delete('/admins/:id/sessions', verifyAdminToken, requirePermission('admins'), checkDbConnection, async (req, res) => {
+    try {
+        const revoked = await revokeAdminSessions(pool, parseInt(req.params.id) || 0, { reason: 'revoked_by_owner' });
+        res.json({ success: true, revoked: revoked });
+    } catch (error) {
+        sendAdminError(res, error, 'Revoke admin sessions error');
+    }
+});
+
+// SIGN-IN SESSIONS (under /auth, apart from the agenda's /sessions)
+
+// Your open sessions, by device and IP address; current marks this one
+router.get('/auth/sessions', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        res.json(await listSessions(pool, req.adminId, req.sessionId));
+    } catch (error) {
+        sendAdminError(res, error, 'Sessions fetch error');
+    }
+});
+
+// Sign out every other device, and this one too with ?include_current=true
+router.delete('/auth/sessions', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        const includeCurrent = req.query.include_current === 'true';
+        const revoked = await revokeAdminSessions(pool, req.adminId, {
+            reason: 'revoked',
+            exceptSessionId: includeCurrent ? null : req.sessionId
+        });
+        if (includeCurrent) {
+            clearSessionCookies(res);
+        }
+        res.json({ success: true, revoked: revoked });
+    } catch (error) {
+        sendAdminError(res, error, 'Revoke sessions error');
+    }
+});
+
+// Sign out one of your sessions
+router.delete('/auth/sessions/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id) || 0;
+        await revokeSession(pool, req.adminId, sessionId, 'revoked');
+        if (sessionId === req.sessionId) {
+            clearSessionCookies(res);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendAdminError(res, error, 'Revoke session error');
+    }
+});
+
+// TWO-FACTOR AUTHENTICATION
+
+// Whether two-factor is on, required for your role, and how many recovery codes are left
+router.get('/2fa', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getTwoFactorStatus(pool, req.admin));
+    } catch (error) {
+        sendAdminError(res, error, 'Two-factor status error');
+    }
+});
+
+// Start enrolling: returns the secret, an otpauth:// URI and a QR code (data URL) for the app
+router.post('/2fa/setup', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        res.json(await startEnrollment(pool, req.admin));
+    } catch (error) {
+        sendAdminError(res, error, 'Two-factor setup error');
+    }
+});
+
+// Turn two-factor on with a code from the app; the recovery codes are shown only once
+router.post('/2fa/enable', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        res.json(await confirmEnrollment(pool, req.adminId, req.body.code));
+    } catch (error) {
+        sendAdminError(res, error, 'Two-factor enable error');
+    }
+});
+
+// Replace your recovery codes (needs your password)
+router.post('/2fa/recovery-codes', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        await confirmPassword(pool, req.adminId, req.body.password);
+        res.json(await regenerateRecoveryCodes(pool, req.adminId));
+    } catch (error) {
+        sendAdminError(res, error, 'Recovery codes error');
+    }
+});
+
+// Turn two-factor off (needs your password). Roles that require it must enroll again.
+router.post('/2fa/disable', verifyAdminToken, checkDbConnection, async (req, res) => {
+    try {
+        await confirmPassword(pool, req.adminId, req.body.password);
+        await disableTwoFactor(pool, req.adminId);
+        res.json({ success: true });
+    } catch (error) {
+        sendAdminError(res, error, 'Two-factor disable error');
+    }
+});
+
+// Get admin stats (all events, or one with ?event_id=)
+router.get('/stats', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
     try {
         const today = new Date().toISOString().split('T')[0];
+        const eventId = parseInt(req.query.event_id) || null;
         
-        // Get total tickets and revenue
+        // Get total tickets and gross revenue (refunded orders were paid too)
         const totalStats = await pool.query(`
             SELECT 
-                COUNT(*) as total_tickets,
-                SUM(amount) as total_revenue
+                COALESCE(SUM(quantity) FILTER (WHERE status = 'paid'), 0) as total_tickets,
+                SUM(amount) as gross_revenue
             FROM orders
-            WHERE status = 'completed'
-        `);
+            WHERE paid_at IS NOT NULL
+            AND ($1::int IS NULL OR event_id = $1)
+        `, [eventId]);
+
+        // Get refunds already processed by Razorpay
+        const refundStats = await pool.query(`
+            SELECT SUM(r.amount) as refunded_amount
+            FROM refunds r
+            JOIN orders o ON o.id = r.order_id
+            WHERE r.status = 'processed'
+            AND ($1::int IS NULL OR o.event_id = $1)
+        `, [eventId]);
 
         // Get today's sales
         const todayStats = await pool.query(`
-            SELECT COUNT(*) as today_sales
+            SELECT COALESCE(SUM(quantity), 0) as today_sales
             FROM orders
-            WHERE status = 'completed'
+            WHERE status = 'paid'
             AND DATE(created_at) = $1
-        `, [today]);
+            AND ($2::int IS NULL OR event_id = $2)
+        `, [today, eventId]);
+
+        const grossRevenue = parseFloat(totalStats.rows[0].gross_revenue) || 0;
+        const refundedAmount = parseFloat(refundStats.rows[0].refunded_amount) || 0;
 
         res.json({
             totalTickets: parseInt(totalStats.rows[0].total_tickets) || 0,
-            totalRevenue: parseFloat(totalStats.rows[0].total_revenue) || 0,
+            totalRevenue: Math.round((grossRevenue - refundedAmount) * 100) / 100,
+            grossRevenue: grossRevenue,
+            refundedAmount: refundedAmount,
             todaySales: parseInt(todayStats.rows[0].today_sales) || 0
         });
     } catch (error) {
@@ -159,308 +684,1538 @@ router.get('/stats', verifyAdminToken, checkDbConnection, async (req, res) => {
     }
 });
 
-// Update event details
-router.put('/event', verifyAdminToken, checkDbConnection, async (req, res) => {
+// ANALYTICS
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (the last 30 days by
+// default) and an optional ?event_id=
+const sendAnalyticsError = (res, error, label) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error(`${label}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Totals for a date range: orders, tickets, revenue, refunds and average order value
+router.get('/analytics/summary', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getSalesSummary(pool, parseAnalyticsFilters(req.query)));
+    } catch (error) {
+        sendAnalyticsError(res, error, 'Analytics summary error');
+    }
+});
+
+// Sales and refunds per day or week (?interval=day|week)
+router.get('/analytics/sales', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getSalesSeries(pool, parseAnalyticsFilters(req.query)));
+    } catch (error) {
+        sendAnalyticsError(res, error, 'Analytics sales error');
+    }
+});
+
+// Revenue per package
+router.get('/analytics/packages', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getPackageRevenue(pool, parseAnalyticsFilters(req.query)));
+    } catch (error) {
+        sendAnalyticsError(res, error, 'Analytics packages error');
+    }
+});
+
+// Share of orders created in the range that were paid
+router.get('/analytics/conversion', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getConversion(pool, parseAnalyticsFilters(req.query)));
+    } catch (error) {
+        sendAnalyticsError(res, error, 'Analytics conversion error');
+    }
+});
+
+// Refund totals by status and the share of revenue refunded
+router.get('/analytics/refunds', verifyAdminToken, requirePermission('reports'), checkDbConnection, async (req, res) => {
+    try {
+        res.json(await getRefundTotals(pool, parseAnalyticsFilters(req.query)));
+    } catch (error) {
+        sendAnalyticsError(res, error, 'Analytics refunds error');
+    }
+});
+
+// Update event details (featured event)
+router.put('/event', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { title, description, date, time, location, price } = req.body;
         
         // First check if any events exist
-        const existingEvents = await pool.query('SELECT id FROM events ORDER BY date DESC LIMIT 1');
+        const featuredEvent = await getFeaturedEvent(pool);
         
-        if (existingEvents.rows.length === 0) {
+        if (!featuredEvent) {
             // No events exist, insert a new one
             await pool.query(`
-                INSERT INTO events (title, description, date, time, location, price)
-                VALUES ($1, $2, $3, $4, $5, $6)
-            `, [title, description, date, time, location, price]);
+                INSERT INTO events (slug, title, description, date, time, location, price, is_featured)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+            `, [slugify(title) || 'event', title, description, date, time, location, price]);
         } else {
             // Update existing event
             await pool.query(`
                 UPDATE events
                 SET title = $1, description = $2, date = $3, 
-                    time = $4, location = $5, price = $6
+                    time = $4, location = $5, price = $6, updated_at = CURRENT_TIMESTAMP
                 WHERE id = $7
-            `, [title, description, date, time, location, price, existingEvents.rows[0].id]);
+            `, [title, description, date, time, location, price, featuredEvent.id]);
         }
 
         res.json({ success: true });
     } catch (error) {
+        // Creating the featured event from its title can hit another event's slug
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'An event with this slug already exists', code: 'EVENT_SLUG_TAKEN' });
+        }
         console.error('Update event error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get orders
-router.get('/orders', verifyAdminToken, checkDbConnection, async (req, res) => {
+// EVENTS MANAGEMENT
+
+// Packages, speakers and content are managed per event: pass event_id in the
+// query string (or body) to pick one, otherwise the featured event is used
+const resolveAdminEvent = async (req, res, next) => {
     try {
-        const result = await pool.query(`
-            SELECT 
-                id, customer_name, customer_email, amount,
-                status, created_at
-            FROM orders
-            ORDER BY created_at DESC
-            LIMIT 50
-        `);
+        const eventId = req.query.event_id || (req.body && req.body.event_id);
+
+        if (eventId) {
+            const result = await pool.query('SELECT * FROM events WHERE id = $1', [parseInt(eventId) || 0]);
+            req.event = result.rows[0];
+        } else {
+            req.event = await getFeaturedEvent(pool);
+        }
+
+        if (!req.event) {
+            return res.status(404).json({ error: 'Event not found', code: 'EVENT_NOT_FOUND' });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Event lookup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Validate an event payload; returns { values } or { error }
+const parseEventInput = (input) => {
+    const { title, description, date, time, location, price } = input;
+    const slug = input.slug ? String(input.slug).trim().toLowerCase() : slugify(title);
+
+    if (!title || !date || !time || price === undefined || price === null || price === '') {
+        return { error: 'Title, date, time and price are required' };
+    }
+    if (!isValidSlug(slug)) {
+        return { error: 'Slug may only contain lowercase letters, numbers and single hyphens' };
+    }
+
+    return {
+        values: {
+            slug: slug,
+            title: title,
+            description: description || null,
+            date: date,
+            time: time,
+            location: location || null,
+            price: price,
+            is_active: input.is_active === undefined ? true : Boolean(input.is_active)
+        }
+    };
+};
+
+// Get all events, including inactive ones
+router.get('/events', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT e.*,
+                (SELECT COUNT(*) FROM orders o WHERE o.event_id = e.id AND o.status = 'paid') AS paid_orders
+            FROM events e
+            ORDER BY e.date DESC, e.id DESC
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Events fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get one event
+router.get('/events/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM events WHERE id = $1', [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Event not found', code: 'EVENT_NOT_FOUND' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Event fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create new event (the slug defaults to one derived from the title)
+router.post('/events', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const { values, error } = parseEventInput(req.body);
+
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO events (slug, title, description, date, time, location, price, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [values.slug, values.title, values.description, values.date, values.time, values.location,
+            values.price, values.is_active]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'An event with this slug already exists', code: 'EVENT_SLUG_TAKEN' });
+        }
+        console.error('Create event error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update event
+router.put('/events/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const { values, error } = parseEventInput(req.body);
+
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const result = await pool.query(`
+            UPDATE events
+            SET slug = $1, title = $2, description = $3, date = $4, time = $5,
+                location = $6, price = $7,
+                is_active = CASE WHEN is_featured THEN true ELSE $8 END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $9
+            RETURNING *
+        `, [values.slug, values.title, values.description, values.date, values.time, values.location,
+            values.price, values.is_active, req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Event not found', code: 'EVENT_NOT_FOUND' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'An event with this slug already exists', code: 'EVENT_SLUG_TAKEN' });
+        }
+        console.error('Update event error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete event (soft delete); the featured event has to be replaced first
+router.delete('/events/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            UPDATE events SET is_active = false, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND is_featured = false
+            RETURNING id
+        `, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            const existing = await pool.query('SELECT is_featured FROM events WHERE id = $1', [req.params.id]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Event not found', code: 'EVENT_NOT_FOUND' });
+            }
+            return res.status(409).json({ error: 'Feature another event before removing this one', code: 'EVENT_FEATURED' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete event error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Make an event the featured one served by /api/event, /api/packages, etc.
+router.post('/events/:id/feature', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const event = await setFeaturedEvent(pool, req.params.id);
+
+        if (!event) {
+            return res.status(404).json({ error: 'Active event not found', code: 'EVENT_NOT_FOUND' });
+        }
+
+        res.json(event);
+    } catch (error) {
+        console.error('Feature event error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the public stats of an event: live value, mode, manual value and the number shown
+router.get('/site-stats', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const metrics = await getStatsBreakdown(pool, req.event.id);
+        res.json({ event_id: req.event.id, metrics: metrics });
+    } catch (error) {
+        console.error('Site stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Override a public stat, set a floor for it or put it back to live, per metric
+router.put('/site-stats', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const { event_id, ...settings } = req.body;
+        const metrics = await updateStatsSettings(pool, req.event.id, settings);
+        res.json({ event_id: req.event.id, metrics: metrics });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        console.error('Site stats update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Search orders: ?q= matches name, email, phone and payment IDs; filter with
+// status, event_id, package_id, from/to (created date) and min_amount/max_amount;
+// sort with sort/order and page through with page/page_size
+router.get('/orders', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await searchOrders(pool, parseOrderQuery(req.query));
+        res.json(result);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        console.error('Orders error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// EXPORTS
+
+// Exportable columns: ?columns= picks and orders them, all are included by default
+const ORDER_EXPORT_COLUMNS = {
+    id: { header: 'Order ID', sql: 'id', type: 'number' },
+    created_at: { header: 'Created At', sql: 'created_at' },
+    status: { header: 'Status', sql: 'status' },
+    customer_name: { header: 'Name', sql: 'customer_name' },
+    customer_email: { header: 'Email', sql: 'customer_email' },
+    customer_phone: { header: 'Phone', sql: 'customer_phone' },
+    event: { header: 'Event', sql: '(SELECT title FROM events e WHERE e.id = orders.event_id)' },
+    package_name: { header: 'Package', sql: 'package_name' },
+    quantity: { header: 'Quantity', sql: 'quantity', type: 'number' },
+    unit_price: { header: 'Unit Price', sql: 'COALESCE(unit_price, package_price)', type: 'number' },
+    promo_code: { header: 'Promo Code', sql: 'promo_code' },
+    discount_amount: { header: 'Discount', sql: 'discount_amount', type: 'number' },
+    amount: { header: 'Amount', sql: 'amount', type: 'number' },
+    payment_id: { header: 'Payment ID', sql: 'payment_id' },
+    paid_at: { header: 'Paid At', sql: 'paid_at' },
+    invoice_number: { header: 'Invoice Number', sql: 'invoice_number', type: 'number' }
+};
+
+const ATTENDEE_EXPORT_COLUMNS = {
+    attendee_id: { header: 'Attendee ID', sql: 'a.id', type: 'number' },
+    name: { header: 'Name', sql: 'a.name' },
+    email: { header: 'Email', sql: 'a.email' },
+    phone: { header: 'Phone', sql: 'a.phone' },
+    order_id: { header: 'Order ID', sql: 'o.id', type: 'number' },
+    order_status: { header: 'Order Status', sql: 'o.status' },
+    buyer_name: { header: 'Buyer Name', sql: 'o.customer_name' },
+    buyer_email: { header: 'Buyer Email', sql: 'o.customer_email' },
+    event: { header: 'Event', sql: '(SELECT title FROM events e WHERE e.id = o.event_id)' },
+    package_name: { header: 'Package', sql: 'o.package_name' },
+    ticket_code: { header: 'Ticket Code', sql: 't.code' },
+    ticket_status: { header: 'Ticket Status', sql: 't.status' },
+    checked_in_at: { header: 'Checked In At', sql: 't.checked_in_at' }
+};
+
+const CONTACT_FORM_EXPORT_COLUMNS = {
+    id: { header: 'ID', sql: 'id', type: 'number' },
+    name: { header: 'Name', sql: 'name' },
+    phone: { header: 'Phone', sql: 'phone' },
+    email: { header: 'Email', sql: 'email' },
+    message: { header: 'Message', sql: 'message', width: 60 },
+    status: { header: 'Status', sql: 'status' },
+    spam_reason: { header: 'Spam Reason', sql: 'spam_reason' },
+    assigned_to: { header: 'Assigned To', sql: '(SELECT email FROM admins WHERE admins.id = assigned_admin_id)' },
+    created_at: { header: 'Submitted At', sql: 'created_at' },
+    updated_at: { header: 'Updated At', sql: 'updated_at' }
+};
+
+const exportFilename = (name) => `${name}-${new Date().toISOString().split('T')[0]}`;
+
+const sendExportError = (res, error, label) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error(`${label}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Export orders as CSV or XLSX (?format=csv|xlsx), with the order list filters and sorting
+router.get('/orders/export', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, ORDER_EXPORT_COLUMNS);
+        const parsed = parseOrderQuery(req.query);
+        const { where, params } = buildOrderFilter(parsed.filters);
+
+        await streamExport(pool, res, {
+            sql: `SELECT ${buildExportSelect(columns)} FROM orders ${where} ${buildOrderSort(parsed)}`,
+            params: params,
+            columns: columns,
+            format: format,
+            filename: exportFilename('orders'),
+            sheetName: 'Orders'
+        });
+    } catch (error) {
+        sendExportError(res, error, 'Orders export error');
+    }
+});
+
+// Export the attendees of the orders matching the order list filters, with their tickets
+router.get('/attendees/export', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, ATTENDEE_EXPORT_COLUMNS);
+        const { where, params } = buildOrderFilter(parseOrderQuery(req.query).filters);
+
+        await streamExport(pool, res, {
+            sql: `
+                SELECT ${buildExportSelect(columns)}
+                FROM order_attendees a
+                JOIN (SELECT * FROM orders ${where}) o ON o.id = a.order_id
+                LEFT JOIN tickets t ON t.attendee_id = a.id
+                ORDER BY o.id, a.id
+            `,
+            params: params,
+            columns: columns,
+            format: format,
+            filename: exportFilename('attendees'),
+            sheetName: 'Attendees'
+        });
+    } catch (error) {
+        sendExportError(res, error, 'Attendees export error');
+    }
+});
+
+// Get an order with its attendees, tickets, status and payment history, refunds and emails
+router.get('/orders/:id', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [parseInt(req.params.id) || 0]);
+        const order = orderResult.rows[0];
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        const attendees = await pool.query(
+            'SELECT id, name, email, phone, created_at FROM order_attendees WHERE order_id = $1 ORDER BY id',
+            [order.id]
+        );
+        const emails = await pool.query(
+            'SELECT id, template_key, to_email, subject, status, attempts, last_error, sent_at, created_at FROM email_outbox WHERE order_id = $1 ORDER BY id',
+            [order.id]
+        );
+
+        res.json({
+            ...order,
+            invoice: order.invoice_number ? formatInvoiceNumber(order.invoice_number) : null,
+            attendees: attendees.rows,
+            tickets: await getOrderTickets(pool, order.id),
+            history: await getOrderHistory(pool, order.id),
+            refunds: await getOrderRefunds(pool, order.id),
+            refundableAmount: order.status === 'paid' ? await getRefundableAmount(pool, order) : 0,
+            emails: emails.rows
+        });
+    } catch (error) {
+        console.error('Order detail error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the status history of an order
+router.get('/orders/:id/history', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const orderResult = await pool.query('SELECT id, status FROM orders WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        const history = await getOrderHistory(pool, orderResult.rows[0].id);
+
+        res.json({
+            orderId: orderResult.rows[0].id,
+            status: orderResult.rows[0].status,
+            history: history
+        });
+    } catch (error) {
+        console.error('Order history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the attendees covered by an order
+router.get('/orders/:id/attendees', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, name, email, phone, created_at FROM order_attendees WHERE order_id = $1 ORDER BY id',
+            [parseInt(req.params.id) || 0]
+        );
+
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Order attendees error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the tickets issued for an order
+router.get('/orders/:id/tickets', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const orderResult = await pool.query('SELECT id FROM orders WHERE id = $1', [parseInt(req.params.id) || 0]);
+        if (orderResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        const tickets = await getOrderTickets(pool, orderResult.rows[0].id);
+        res.json(tickets);
+    } catch (error) {
+        console.error('Order tickets error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Download the invoice for an order
+router.get('/orders/:id/invoice', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const documentData = await getOrderDocumentData(pool, parseInt(req.params.id) || 0);
+
+        if (!documentData) {
+            return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        if (!documentData.order.invoice_number) {
+            return res.status(409).json({ error: 'Invoices are issued once the order is paid', code: 'INVOICE_NOT_AVAILABLE' });
+        }
+
+        const invoiceNumber = formatInvoiceNumber(documentData.order.invoice_number);
+        res.type('application/pdf');
+        res.set('Content-Disposition', `attachment; filename="invoice-${invoiceNumber}.pdf"`);
+        buildInvoicePdf(documentData).pipe(res);
+    } catch (error) {
+        console.error('Invoice download error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get refunds for an order
+router.get('/orders/:id/refunds', verifyAdminToken, requirePermission('orders.read'), checkDbConnection, async (req, res) => {
+    try {
+        const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [parseInt(req.params.id) || 0]);
+        const order = orderResult.rows[0];
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        const refunds = await getOrderRefunds(pool, order.id);
+
+        res.json({
+            orderId: order.id,
+            amount: parseFloat(order.amount),
+            refundableAmount: order.status === 'paid' ? await getRefundableAmount(pool, order) : 0,
+            refunds: refunds
+        });
+    } catch (error) {
+        console.error('Order refunds error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Refund an order in full or in part (omit amount for the remaining balance)
+router.post('/orders/:id/refund', verifyAdminToken, requirePermission('orders.manage'), checkDbConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, reason } = req.body;
+
+        if (amount !== undefined && amount !== null && isNaN(parseFloat(amount))) {
+            return res.status(400).json({ error: 'Amount must be a number', code: 'INVALID_REFUND_AMOUNT' });
+        }
+
+        const refund = await createRefund(pool, req.app.get('razorpay'), id, {
+            amount: amount,
+            reason: reason,
+            adminId: req.adminId
+        });
+
+        res.json({ success: true, refund: refund });
+    } catch (error) {
+        console.error('Refund error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Cancel an unpaid order and its payment link
+router.post('/orders/:id/cancel', verifyAdminToken, requirePermission('orders.manage'), checkDbConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const orderResult = await pool.query('SELECT id, status, payment_link_id FROM orders WHERE id = $1', [id]);
+        const order = orderResult.rows[0];
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status === 'paid') {
+            return res.status(409).json({
+                error: 'Paid orders must be refunded instead of cancelled',
+                code: 'ORDER_NOT_CANCELLABLE'
+            });
+        }
+
+        // Close the payment link first so the buyer cannot pay a cancelled order
+        const razorpay = req.app.get('razorpay');
+        if (razorpay && order.payment_link_id && ['pending', 'failed'].includes(order.status)) {
+            try {
+                await razorpay.paymentLink.cancel(order.payment_link_id);
+            } catch (gatewayError) {
+                console.error('Payment link cancel error:', gatewayError);
+                return res.status(502).json({
+                    error: gatewayError.error?.description || 'Unable to cancel payment link',
+                    code: 'PAYMENT_LINK_CANCEL_ERROR'
+                });
+            }
+        }
+
+        const { order: updatedOrder } = await commitOrderTransition(pool, id, 'cancelled', {
+            reason: reason || 'Cancelled by admin',
+            changedBy: `admin:${req.adminId}`
+        });
+
+        res.json({ success: true, order: updatedOrder });
+    } catch (error) {
+        console.error('Cancel order error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get site content for admin editing
+router.get('/content', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM site_content WHERE event_id = $1 ORDER BY section', [req.event.id]);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Content fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update site content
+router.put('/content/:section', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const { section } = req.params;
+        const { title, subtitle, description, content_data } = req.body;
+        
+        // New events start without content, so a missing section is created
+        await pool.query(`
+            INSERT INTO site_content (title, subtitle, description, content_data, section, event_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (event_id, section) DO UPDATE
+            SET title = EXCLUDED.title, subtitle = EXCLUDED.subtitle, description = EXCLUDED.description, 
+                content_data = EXCLUDED.content_data, updated_at = CURRENT_TIMESTAMP
+        `, [title, subtitle, description, JSON.stringify(content_data), section, req.event.id]);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update content error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Package capacity is optional: empty means unlimited, otherwise a whole number of seats
+const parseCapacity = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const capacity = Number(value);
+    return Number.isInteger(capacity) && capacity >= 0 ? capacity : NaN;
+};
+
+// Get all packages
+router.get('/packages', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT *,
+                CASE WHEN capacity IS NULL THEN NULL ELSE GREATEST(capacity - seats_reserved, 0) END AS remaining,
+                (capacity IS NOT NULL AND seats_reserved >= capacity) AS sold_out
+            FROM event_packages
+            WHERE is_active = true AND event_id = $1
+            ORDER BY display_order, id
+        `, [req.event.id]);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Packages fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create new package
+router.post('/packages', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const { name, category, price, features, package_type } = req.body;
+        const capacity = parseCapacity(req.body.capacity);
+        const { tiers, error: tiersError } = parsePriceTiers(req.body.price_tiers);
+
+        if (Number.isNaN(capacity)) {
+            return res.status(400).json({ error: 'Capacity must be a whole number of seats' });
+        }
+        if (tiersError) {
+            return res.status(400).json({ error: tiersError });
+        }
+        
+        // Get next display order
+        const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM event_packages WHERE event_id = $1', [req.event.id]);
+        const nextOrder = orderResult.rows[0].next_order;
+        
+        const result = await pool.query(`
+            INSERT INTO event_packages (name, category, price, features, package_type, display_order, capacity, price_tiers, event_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [name, category, price, JSON.stringify(features), package_type, nextOrder, capacity, tiers && JSON.stringify(tiers), req.event.id]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Create package error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update package
+router.put('/packages/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, category, price, features, package_type } = req.body;
+        const capacity = parseCapacity(req.body.capacity);
+        const { tiers, error: tiersError } = parsePriceTiers(req.body.price_tiers);
+
+        if (Number.isNaN(capacity)) {
+            return res.status(400).json({ error: 'Capacity must be a whole number of seats' });
+        }
+        if (tiersError) {
+            return res.status(400).json({ error: tiersError });
+        }
+        
+        // Capacity and price tiers are only changed when sent, so older clients keep them intact
+        await pool.query(`
+            UPDATE event_packages
+            SET name = $1, category = $2, price = $3, features = $4, 
+                package_type = $5,
+                capacity = CASE WHEN $8 THEN $7 ELSE capacity END,
+                price_tiers = CASE WHEN $10 THEN $9::jsonb ELSE price_tiers END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $6
+        `, [name, category, price, JSON.stringify(features), package_type, id, capacity, 'capacity' in req.body,
+            tiers && JSON.stringify(tiers), 'price_tiers' in req.body]);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update package error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete package (soft delete)
+router.delete('/packages/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        await pool.query('UPDATE event_packages SET is_active = false WHERE id = $1', [id]);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete package error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update package order
+router.put('/packages/:id/order', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { display_order } = req.body;
+        
+        await pool.query('UPDATE event_packages SET display_order = $1 WHERE id = $2', [display_order, id]);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update package order error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// CHECK-IN
+
+// Validate a scanned ticket and mark it as used
+router.post('/checkin', verifyAdminToken, requirePermission('checkin'), checkDbConnection, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Ticket code is required' });
+        }
+
+        const ticket = await checkInTicket(pool, String(code).trim(), req.adminId);
+
+        res.json({
+            success: true,
+            ticket: {
+                id: ticket.id,
+                orderId: ticket.order_id,
+                attendeeName: ticket.attendee_name,
+                attendeeEmail: ticket.attendee_email,
+                package: ticket.package_name,
+                checkedInAt: ticket.checked_in_at
+            }
+        });
+    } catch (error) {
+        if (error.code === 'TICKET_ALREADY_CHECKED_IN') {
+            return res.status(409).json({
+                error: error.message,
+                code: error.code,
+                checkedInAt: error.ticket.previous_check_in,
+                scanCount: error.ticket.scan_count
+            });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        console.error('Check-in error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Live checked-in count for one event (?event_id=, else the featured event)
+router.get('/checkin/stats', verifyAdminToken, requirePermission('checkin'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const stats = await getCheckInStats(pool, req.event.id);
+        res.json(stats);
+    } catch (error) {
+        console.error('Check-in stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PROMO CODES MANAGEMENT
+
+// Validate and normalize a promo code payload; returns { values } or { error }
+const parsePromoCodeInput = (input) => {
+    const code = normalizeCode(input.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+        return { error: 'Code must be 3-50 letters, digits, dashes or underscores' };
+    }
+
+    if (!DISCOUNT_TYPES.includes(input.discount_type)) {
+        return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+
+    const discountValue = parseFloat(input.discount_value);
+    if (!(discountValue > 0) || (input.discount_type === 'percentage' && discountValue > 100)) {
+        return { error: 'Discount value must be positive, and at most 100 for percentages' };
+    }
+
+    const packageIds = Array.isArray(input.package_ids) ? input.package_ids.map(Number) : [];
+    if (packageIds.some(id => !Number.isInteger(id) || id < 1)) {
+        return { error: 'Package IDs must be positive integers' };
+    }
+
+    const limits = {};
+    for (const field of ['max_uses', 'max_uses_per_email']) {
+        const value = input[field];
+        limits[field] = value === undefined || value === null || value === '' ? null : Number(value);
+        if (limits[field] !== null && !(Number.isInteger(limits[field]) && limits[field] > 0)) {
+            return { error: `${field} must be a positive whole number` };
+        }
+    }
+
+    const startsAt = input.starts_at ? new Date(input.starts_at) : null;
+    const endsAt = input.ends_at ? new Date(input.ends_at) : null;
+    if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt)) || (startsAt && endsAt && startsAt >= endsAt)) {
+        return { error: 'Validity window must use valid dates with starts_at before ends_at' };
+    }
+
+    return {
+        values: {
+            code: code,
+            description: input.description || null,
+            discount_type: input.discount_type,
+            discount_value: discountValue,
+            package_ids: packageIds.length > 0 ? packageIds : null,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            max_uses: limits.max_uses,
+            max_uses_per_email: limits.max_uses_per_email
+        }
+    };
+};
+
+// Get all promo codes with their current usage
+router.get('/promo-codes', verifyAdminToken, requirePermission('promo_codes'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT 
+                p.*,
+                COUNT(o.id) FILTER (WHERE o.status IN ('pending', 'paid')) as times_used,
+                COALESCE(SUM(o.discount_amount) FILTER (WHERE o.status = 'paid'), 0) as total_discount
+            FROM promo_codes p
+            LEFT JOIN orders o ON o.promo_code_id = p.id
+            WHERE p.is_active = true
+            GROUP BY p.id
+            ORDER BY p.created_at DESC
+        `);
+        res.json(result.rows);
+    } catch (error) {
+        console.error('Promo codes fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create new promo code
+router.post('/promo-codes', verifyAdminToken, requirePermission('promo_codes'), checkDbConnection, async (req, res) => {
+    try {
+        const { values, error } = parsePromoCodeInput(req.body);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO promo_codes (code, description, discount_type, discount_value, package_ids,
+                starts_at, ends_at, max_uses, max_uses_per_email)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [values.code, values.description, values.discount_type, values.discount_value, values.package_ids,
+            values.starts_at, values.ends_at, values.max_uses, values.max_uses_per_email]);
 
-        res.json(result.rows);
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Orders error:', error);
+        console.error('Create promo code error:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A promo code with this code already exists' });
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get site content for admin editing
-router.get('/content', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Update promo code
+router.put('/promo-codes/:id', verifyAdminToken, requirePermission('promo_codes'), checkDbConnection, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM site_content ORDER BY section');
-        res.json(result.rows);
+        const { id } = req.params;
+        const { values, error } = parsePromoCodeInput(req.body);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const result = await pool.query(`
+            UPDATE promo_codes
+            SET code = $1, description = $2, discount_type = $3, discount_value = $4,
+                package_ids = $5, starts_at = $6, ends_at = $7, max_uses = $8,
+                max_uses_per_email = $9, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $10 AND is_active = true
+        `, [values.code, values.description, values.discount_type, values.discount_value, values.package_ids,
+            values.starts_at, values.ends_at, values.max_uses, values.max_uses_per_email, id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+
+        res.json({ success: true });
     } catch (error) {
-        console.error('Content fetch error:', error);
+        console.error('Update promo code error:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A promo code with this code already exists' });
+        }
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update site content
-router.put('/content/:section', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Delete promo code (soft delete)
+router.delete('/promo-codes/:id', verifyAdminToken, requirePermission('promo_codes'), checkDbConnection, async (req, res) => {
     try {
-        const { section } = req.params;
-        const { title, subtitle, description, content_data } = req.body;
+        const { id } = req.params;
         
-        await pool.query(`
-            UPDATE site_content
-            SET title = $1, subtitle = $2, description = $3, 
-                content_data = $4, updated_at = CURRENT_TIMESTAMP
-            WHERE section = $5
-        `, [title, subtitle, description, JSON.stringify(content_data), section]);
+        await pool.query('UPDATE promo_codes SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Update content error:', error);
+        console.error('Delete promo code error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get all packages
-router.get('/packages', verifyAdminToken, checkDbConnection, async (req, res) => {
+// SPEAKERS MANAGEMENT
+
+// Get all speakers
+router.get('/speakers', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM event_packages WHERE is_active = true ORDER BY display_order, id');
+        const result = await pool.query('SELECT * FROM speakers WHERE is_active = true AND event_id = $1 ORDER BY display_order, id', [req.event.id]);
         res.json(result.rows);
     } catch (error) {
-        console.error('Packages fetch error:', error);
+        console.error('Speakers fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create new package
-router.post('/packages', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Create new speaker
+router.post('/speakers', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
     try {
-        const { name, category, price, features, package_type } = req.body;
+        const { name, title, company, bio, image_url } = req.body;
         
         // Get next display order
-        const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM event_packages');
+        const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM speakers WHERE event_id = $1', [req.event.id]);
         const nextOrder = orderResult.rows[0].next_order;
         
         const result = await pool.query(`
-            INSERT INTO event_packages (name, category, price, features, package_type, display_order)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO speakers (name, title, company, bio, image_url, display_order, event_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
-        `, [name, category, price, JSON.stringify(features), package_type, nextOrder]);
+        `, [name, title, company, bio, image_url, nextOrder, req.event.id]);
 
+        invalidateStats(req.event.id);
         res.json(result.rows[0]);
     } catch (error) {
-        console.error('Create package error:', error);
+        console.error('Create speaker error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update package
-router.put('/packages/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Update speaker
+router.put('/speakers/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, category, price, features, package_type } = req.body;
+        const { name, title, company, bio, image_url } = req.body;
         
         await pool.query(`
-            UPDATE event_packages
-            SET name = $1, category = $2, price = $3, features = $4, 
-                package_type = $5, updated_at = CURRENT_TIMESTAMP
+            UPDATE speakers
+            SET name = $1, title = $2, company = $3, bio = $4, 
+                image_url = $5, updated_at = CURRENT_TIMESTAMP
             WHERE id = $6
-        `, [name, category, price, JSON.stringify(features), package_type, id]);
+        `, [name, title, company, bio, image_url, id]);
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Update package error:', error);
+        console.error('Update speaker error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete package (soft delete)
-router.delete('/packages/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Delete speaker (soft delete)
+router.delete('/speakers/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
         
-        await pool.query('UPDATE event_packages SET is_active = false WHERE id = $1', [id]);
+        const result = await pool.query('UPDATE speakers SET is_active = false WHERE id = $1 RETURNING event_id', [id]);
 
+        if (result.rows.length > 0) {
+            invalidateStats(result.rows[0].event_id);
+        }
         res.json({ success: true });
     } catch (error) {
-        console.error('Delete package error:', error);
+        console.error('Delete speaker error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update package order
-router.put('/packages/:id/order', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Update speaker order
+router.put('/speakers/:id/order', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
         const { display_order } = req.body;
         
-        await pool.query('UPDATE event_packages SET display_order = $1 WHERE id = $2', [display_order, id]);
+        await pool.query('UPDATE speakers SET display_order = $1 WHERE id = $2', [display_order, id]);
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Update package order error:', error);
+        console.error('Update speaker order error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// SPEAKERS MANAGEMENT
+// BULK IMPORT
 
-// Get all speakers
-router.get('/speakers', verifyAdminToken, checkDbConnection, async (req, res) => {
+// CSV arrives as text; JSON is already parsed by the app-wide body parser
+const importBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+// Import speakers or packages from CSV or JSON: ?dry_run=true only validates
+// and reports what would happen to each row
+router.post('/import/:type', verifyAdminToken, requirePermission('content'), checkDbConnection, importBody, resolveAdminEvent, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM speakers WHERE is_active = true ORDER BY display_order, id');
+        const dryRun = ['true', '1'].includes(String(req.query.dry_run)) || (req.body && req.body.dry_run === true);
+        const rows = parseImportPayload(req.body, req.params.type);
+        const report = await runImport(pool, req.params.type, req.event.id, rows, { dryRun: dryRun });
+
+        if (!dryRun && req.params.type === 'speakers') {
+            invalidateStats(req.event.id);
+        }
+        res.json(report);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code, ...error.report });
+        }
+        console.error('Import error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// SPONSORS MANAGEMENT
+
+// Validate a sponsor payload; returns { values } or { error }
+const parseSponsorInput = (input) => {
+    const name = input.name ? String(input.name).trim() : '';
+    const tier = input.tier ? String(input.tier).trim().toLowerCase() : 'partner';
+    const websiteUrl = input.website_url ? String(input.website_url).trim() : null;
+
+    if (!name) {
+        return { error: 'Name is required' };
+    }
+    if (!SPONSOR_TIERS.includes(tier)) {
+        return { error: `Tier must be one of ${SPONSOR_TIERS.join(', ')}` };
+    }
+    if (websiteUrl && !/^https?:\/\/\S+$/i.test(websiteUrl)) {
+        return { error: 'Website URL must start with http:// or https://' };
+    }
+
+    return {
+        values: {
+            name: name,
+            tier: tier,
+            description: input.description || null,
+            logo_url: input.logo_url || null,
+            website_url: websiteUrl
+        }
+    };
+};
+
+// Get all sponsors
+router.get('/sponsors', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM sponsors WHERE is_active = true AND event_id = $1 ORDER BY display_order, id', [req.event.id]);
         res.json(result.rows);
     } catch (error) {
-        console.error('Speakers fetch error:', error);
+        console.error('Sponsors fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Create new speaker
-router.post('/speakers', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Create new sponsor
+router.post('/sponsors', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
     try {
-        const { name, title, company, bio, image_url } = req.body;
-        
+        const { values, error } = parseSponsorInput(req.body);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
         // Get next display order
-        const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM speakers');
+        const orderResult = await pool.query('SELECT COALESCE(MAX(display_order), 0) + 1 as next_order FROM sponsors WHERE event_id = $1', [req.event.id]);
         const nextOrder = orderResult.rows[0].next_order;
-        
+
         const result = await pool.query(`
-            INSERT INTO speakers (name, title, company, bio, image_url, display_order)
-            VALUES ($1, $2, $3, $4, $5, $6)
+            INSERT INTO sponsors (name, tier, description, logo_url, website_url, display_order, event_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
-        `, [name, title, company, bio, image_url, nextOrder]);
+        `, [values.name, values.tier, values.description, values.logo_url, values.website_url, nextOrder, req.event.id]);
 
+        invalidateStats(req.event.id);
         res.json(result.rows[0]);
     } catch (error) {
-        console.error('Create speaker error:', error);
+        console.error('Create sponsor error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update speaker
-router.put('/speakers/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Upload a sponsor logo (form field logo); pass the returned logoUrl as logo_url.
+// The file is only stored once the admin has been checked.
+router.post('/sponsors/logo', verifyAdminToken, requirePermission('content'), (req, res, next) => {
+    req.app.get('upload').single('logo')(req, res, next);
+}, (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No logo file provided' });
+    }
+
+    res.json({
+        success: true,
+        logoUrl: `/uploads/${req.file.filename}`,
+        filename: req.file.filename
+    });
+});
+
+// Update sponsor
+router.put('/sponsors/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, title, company, bio, image_url } = req.body;
-        
-        await pool.query(`
-            UPDATE speakers
-            SET name = $1, title = $2, company = $3, bio = $4, 
-                image_url = $5, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $6
-        `, [name, title, company, bio, image_url, id]);
+        const { values, error } = parseSponsorInput(req.body);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
 
-        res.json({ success: true });
+        const result = await pool.query(`
+            UPDATE sponsors
+            SET name = $1, tier = $2, description = $3, logo_url = $4,
+                website_url = $5, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $6 AND is_active = true
+            RETURNING *
+        `, [values.name, values.tier, values.description, values.logo_url, values.website_url, id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Sponsor not found' });
+        }
+
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Update speaker error:', error);
+        console.error('Update sponsor error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete speaker (soft delete)
-router.delete('/speakers/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Delete sponsor (soft delete)
+router.delete('/sponsors/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
-        
-        await pool.query('UPDATE speakers SET is_active = false WHERE id = $1', [id]);
 
+        const result = await pool.query(
+            'UPDATE sponsors SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING event_id',
+            [id]
+        );
+
+        if (result.rows.length > 0) {
+            invalidateStats(result.rows[0].event_id);
+        }
         res.json({ success: true });
     } catch (error) {
-        console.error('Delete speaker error:', error);
+        console.error('Delete sponsor error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update speaker order
-router.put('/speakers/:id/order', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Update sponsor order
+router.put('/sponsors/:id/order', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { id } = req.params;
         const { display_order } = req.body;
-        
-        await pool.query('UPDATE speakers SET display_order = $1 WHERE id = $2', [display_order, id]);
+
+        await pool.query('UPDATE sponsors SET display_order = $1 WHERE id = $2', [display_order, id]);
 
         res.json({ success: true });
     } catch (error) {
-        console.error('Update speaker order error:', error);
+        console.error('Update sponsor order error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// CONTACT FORMS MANAGEMENT
+// AGENDA MANAGEMENT
+
+// Answer a failed session save; conflicts list the sessions that clash
+const sendSessionError = (res, error) => {
+    if (error.conflicts) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, conflicts: error.conflicts });
+    }
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Save session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Get all sessions of an event
+router.get('/sessions', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    try {
+        const sessions = await getEventSessions(pool, req.event.id);
+        res.json(sessions);
+    } catch (error) {
+        console.error('Sessions fetch error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create new session; rejected when its room or a speaker is already booked for the slot
+router.post('/sessions', verifyAdminToken, requirePermission('content'), checkDbConnection, resolveAdminEvent, async (req, res) => {
+    const { values, error } = parseSessionInput(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        const session = await saveSession(pool, req.event.id, values);
+        res.status(201).json(session);
+    } catch (error) {
+        sendSessionError(res, error);
+    }
+});
+
+// Update session
+router.put('/sessions/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    const { values, error } = parseSessionInput(req.body);
+    if (error) {
+        return res.status(400).json({ error: error });
+    }
+
+    try {
+        const existing = await getSession(pool, parseInt(req.params.id) || 0);
+        if (!existing) {
+            return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+        }
+
+        const session = await saveSession(pool, existing.event_id, values, existing.id);
+        res.json(session);
+    } catch (error) {
+        sendSessionError(res, error);
+    }
+});
+
+// Delete session (soft delete)
+router.delete('/sessions/:id', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await pool.query(
+            'UPDATE sessions SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND is_active = true RETURNING id',
+            [parseInt(req.params.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-// Get all contact forms
-router.get('/contact-forms', verifyAdminToken, checkDbConnection, async (req, res) => {
+// EMAIL MANAGEMENT
+
+// Get all email templates
+router.get('/email-templates', verifyAdminToken, requirePermission('email'), checkDbConnection, async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM contact_forms ORDER BY created_at DESC');
+        const result = await pool.query('SELECT * FROM email_templates ORDER BY template_key');
         res.json(result.rows);
     } catch (error) {
-        console.error('Contact forms fetch error:', error);
+        console.error('Email templates fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Export contact forms to JSON (for Excel conversion)
-router.get('/contact-forms/export', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Update an email template; placeholders use the {{name}} syntax
+router.put('/email-templates/:key', verifyAdminToken, requirePermission('email'), checkDbConnection, async (req, res) => {
     try {
+        const { subject, body_text, body_html } = req.body;
+
+        if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+            return res.status(404).json({ error: 'Email template not found', code: 'EMAIL_TEMPLATE_NOT_FOUND' });
+        }
+
+        if (!subject || !body_text) {
+            return res.status(400).json({ error: 'Subject and text body are required' });
+        }
+
         const result = await pool.query(`
-            SELECT 
-                id,
-                name,
-                phone,
-                email,
-                message,
-                TO_CHAR(created_at, 'YYYY-MM-DD HH24:MI:SS') as submitted_at
-            FROM contact_forms 
-            ORDER BY created_at DESC
-        `);
-        
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', 'attachment; filename="contact_forms_export.json"');
+            INSERT INTO email_templates (template_key, subject, body_text, body_html)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (template_key) DO UPDATE
+            SET subject = EXCLUDED.subject, body_text = EXCLUDED.body_text,
+                body_html = EXCLUDED.body_html, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [req.params.key, subject, body_text, body_html || null]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Email template update error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore an email template to its default wording
+router.post('/email-templates/:key/reset', verifyAdminToken, requirePermission('email'), checkDbConnection, async (req, res) => {
+    try {
+        const template = DEFAULT_EMAIL_TEMPLATES[req.params.key];
+
+        if (!template) {
+            return res.status(404).json({ error: 'Email template not found', code: 'EMAIL_TEMPLATE_NOT_FOUND' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO email_templates (template_key, subject, body_text, body_html)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (template_key) DO UPDATE
+            SET subject = EXCLUDED.subject, body_text = EXCLUDED.body_text,
+                body_html = EXCLUDED.body_html, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [req.params.key, template.subject, template.body_text, template.body_html]);
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        console.error('Email template reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get recent outbox messages, optionally filtered by status
+router.get('/email-outbox', verifyAdminToken, requirePermission('email'), checkDbConnection, async (req, res) => {
+    try {
+        const params = [];
+        let where = '';
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            where = 'WHERE status = $1';
+        }
+
+        const result = await pool.query(`
+            SELECT id, template_key, to_email, subject, order_id, status, attempts,
+                last_error, next_attempt_at, sent_at, created_at
+            FROM email_outbox
+            ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT 100
+        `, params);
+
         res.json(result.rows);
     } catch (error) {
-        console.error('Contact forms export error:', error);
+        console.error('Email outbox fetch error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete contact form
-router.delete('/contact-forms/:id', verifyAdminToken, checkDbConnection, async (req, res) => {
+// Queue a failed message to be sent again
+router.post('/email-outbox/:id/retry', verifyAdminToken, requirePermission('email'), checkDbConnection, async (req, res) => {
     try {
-        const { id } = req.params;
-        
-        await pool.query('DELETE FROM contact_forms WHERE id = $1', [id]);
-        
-        res.json({ success: true });
+        const email = await retryEmail(pool, req.params.id);
+
+        if (!email) {
+            return res.status(409).json({ error: 'Only failed messages can be retried', code: 'EMAIL_NOT_RETRYABLE' });
+        }
+
+        res.json({ success: true, id: email.id, status: email.status });
     } catch (error) {
-        console.error('Delete contact form error:', error);
+        console.error('Email retry error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// CONTACT FORMS MANAGEMENT
+
+const sendContactError = (res, error, label) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error(`${label}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+};
+
+// Contact form inbox: filter with status, assigned_to (me, none or an admin ID),
+// q, from and to, and page through with page/page_size. Spam is left out unless
+// asked for with ?status=spam.
+router.get('/contact-forms', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const result = await searchContactForms(pool, parseContactQuery(req.query), req.adminId);
+        res.json(result);
+    } catch (error) {
+        sendContactError(res, error, 'Contact forms fetch error');
+    }
+});
+
+// Export contact forms as CSV or XLSX (?format=csv|xlsx), with the inbox filters
+router.get('/contact-forms/export', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const { format, columns } = parseExportOptions(req.query, CONTACT_FORM_EXPORT_COLUMNS);
+        const { where, params } = buildContactFilter(parseContactQuery(req.query).filters, req.adminId);
+
+        await streamExport(pool, res, {
+            sql: `SELECT ${buildExportSelect(columns)} FROM contact_forms ${where} ORDER BY created_at DESC, id DESC`,
+            params: params,
+            columns: columns,
+            format: format,
+            filename: exportFilename('contact-forms'),
+            sheetName: 'Contact Forms'
+        });
+    } catch (error) {
+        sendExportError(res, error, 'Contact forms export error');
+    }
+});
+
+// Get a contact form with its notes and replies
+router.get('/contact-forms/:id', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const contactForm = await getContactForm(pool, parseInt(req.params.id) || 0);
+        if (!contactForm) {
+            return res.status(404).json({ error: 'Contact form not found', code: 'CONTACT_FORM_NOT_FOUND' });
+        }
+        res.json(contactForm);
+    } catch (error) {
+        sendContactError(res, error, 'Contact form fetch error');
+    }
+});
+
+// Change the status of a contact form or who it is assigned to
+router.put('/contact-forms/:id', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const contactForm = await updateContactForm(pool, parseInt(req.params.id) || 0, {
+            status: req.body.status,
+            assigned_admin_id: req.body.assigned_admin_id
+        });
+        res.json(contactForm);
+    } catch (error) {
+        sendContactError(res, error, 'Update contact form error');
+    }
+});
+
+// Add an internal note to a contact form
+router.post('/contact-forms/:id/notes', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const note = await addContactNote(pool, parseInt(req.params.id) || 0, req.adminId, req.body.note);
+        res.json(note);
+    } catch (error) {
+        sendContactError(res, error, 'Add contact note error');
+    }
+});
+
+// Email a reply to the sender of a contact form
+router.post('/contact-forms/:id/replies', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        const reply = await replyToContactForm(pool, parseInt(req.params.id) || 0, req.adminId, req.body);
+        res.json(reply);
+    } catch (error) {
+        sendContactError(res, error, 'Contact reply error');
+    }
+});
+
+// Delete contact form (soft delete)
+router.delete('/contact-forms/:id', verifyAdminToken, requirePermission('contact_forms'), checkDbConnection, async (req, res) => {
+    try {
+        await deleteContactForm(pool, parseInt(req.params.id) || 0);
+        res.json({ success: true });
+    } catch (error) {
+        sendContactError(res, error, 'Delete contact form error');
+    }
+});
+
 // CONTACT INFORMATION MANAGEMENT
 
 // Get contact information
-router.get('/contact-info', verifyAdminToken, checkDbConnection, async (req, res) => {
+router.get('/contact-info', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const result = await pool.query('SELECT * FROM contact_info WHERE section = $1', ['main']);
         
@@ -486,7 +2241,7 @@ router.get('/contact-info', verifyAdminToken, checkDbConnection, async (req, res
 });
 
 // Update contact information
-router.put('/contact-info', verifyAdminToken, checkDbConnection, async (req, res) => {
+router.put('/contact-info', verifyAdminToken, requirePermission('content'), checkDbConnection, async (req, res) => {
     try {
         const { phone_numbers, email, location } = req.body;
         
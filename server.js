@@ -10,17 +10,46 @@ const crypto = require('crypto');
 const multer = require('multer');
 const fs = require('fs');
 const helmet = require('helmet');
+const QRCode = require('qrcode');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const adminRoutes = require('./routes/admin');
 const initializeDatabase = require('./initDb');
+const { verifyWebhookSignature, getWebhookEventId, reconcilePaymentLink } = require('./services/payments');
+const { STATS_CHANGING_STATUSES, recordOrderCreated, transitionOrder, commitOrderTransition, expireStaleOrders } = require('./services/orderLifecycle');
+const { applyRefundEvent } = require('./services/refunds');
+const { applyPromoCode } = require('./services/promoCodes');
+const { priceOrder } = require('./services/pricing');
+const { getTicketByCode } = require('./services/tickets');
+const { createDocumentToken, isValidDocumentToken, getOrderDocumentData, formatInvoiceNumber, buildInvoicePdf, buildTicketsPdf } = require('./services/documents');
+const { queueContactEmails, processOutbox } = require('./services/email');
+const { HONEYPOT_FIELD, detectSpam } = require('./services/contactInbox');
+const { createTransportFromEnv } = require('./services/mailer');
+const { getFeaturedEvent, getEventBySlug } = require('./services/events');
+const { getAgenda, getEventSessions, getSession, buildIcs } = require('./services/agenda');
+const { getEventStats, invalidateStats } = require('./services/stats');
+const { groupSponsorsByTier } = require('./services/sponsors');
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Payment links stop accepting payments after this many minutes (Razorpay minimum is 15)
+const paymentLinkExpiryMinutes = Math.max(parseInt(process.env.PAYMENT_LINK_EXPIRY_MINUTES) || 30, 15);
+const orderSweepIntervalMinutes = parseInt(process.env.ORDER_SWEEP_INTERVAL_MINUTES) || 5;
+const maxAttendeesPerOrder = parseInt(process.env.MAX_ATTENDEES_PER_ORDER) || 20;
+const emailOutboxIntervalSeconds = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 30;
+const emailMaxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+// Behind a proxy (Render, Railway, a load balancer) set TRUST_PROXY to the
+// number of proxy hops so req.ip is the client's address, not the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -79,7 +108,13 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing middleware
-app.use(bodyParser.json({ limit: '10mb' }));
+app.use(bodyParser.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -96,7 +131,8 @@ const storage = multer.diskStorage({
     },
     filename: function (req, file, cb) {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, 'speaker-' + uniqueSuffix + path.extname(file.originalname));
+        const prefix = file.fieldname === 'logo' ? 'sponsor-' : 'speaker-';
+        cb(null, prefix + uniqueSuffix + path.extname(file.originalname));
     }
 });
 
@@ -114,6 +150,9 @@ const upload = multer({
     }
 });
 
+// Admin routes upload through the same storage (sponsor logos)
+app.set('upload', upload);
+
 // Serve uploaded files
 app.use('/uploads', express.static(uploadsDir, {
   maxAge: process.env.NODE_ENV === 'production' ? '1y' : 0
@@ -201,6 +240,14 @@ try {
   console.error('Failed to initialize Razorpay:', error.message);
 }
 
+// Expose the client to route handlers so it can be swapped out in tests
+app.set('razorpay', razorpay);
+
+// Mail transport used by the outbox worker (SMTP, console or in-memory); null
+// in production until SMTP is configured
+const mailer = createTransportFromEnv();
+app.set('mailer', mailer);
+
 // Helper function to check if database is connected
 const checkDbConnection = (req, res, next) => {
   if (!pool) {
@@ -236,12 +283,60 @@ app.get('/api/config', (req, res) => {
   });
 });
 
-// Get event details
-app.get('/api/event', checkDbConnection, async (req, res) => {
+// Resolve the event a request is about: the :slug in the path, or the featured
+// event for the original single-event endpoints (req.event is null if there is none)
+const resolveEvent = async (req, res, next) => {
   try {
-    const result = await pool.query('SELECT * FROM events ORDER BY date DESC LIMIT 1');
-    
-    if (result.rows.length === 0) {
+    if (req.params.slug) {
+      req.event = await getEventBySlug(pool, req.params.slug);
+
+      if (!req.event) {
+        return res.status(404).json({
+          error: 'Event not found',
+          message: `No event found for ${req.params.slug}`,
+          code: 'EVENT_NOT_FOUND'
+        });
+      }
+    } else {
+      req.event = await getFeaturedEvent(pool);
+    }
+
+    next();
+  } catch (err) {
+    console.error('Event lookup error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List active events, soonest first
+app.get('/api/events', checkDbConnection, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, slug, title, description, date, time, location, price, is_featured
+      FROM events
+      WHERE is_active = true
+      ORDER BY date, id
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Events fetch error:', err);
+    res.status(500).json({
+      error: 'Failed to fetch events',
+      message: 'Unable to load events. Please try again later.',
+      code: 'EVENT_FETCH_ERROR'
+    });
+  }
+});
+
+// Get one event by slug
+app.get('/api/events/:slug', checkDbConnection, resolveEvent, (req, res) => {
+  res.json(req.event);
+});
+
+// Get event details (featured event)
+app.get('/api/event', checkDbConnection, resolveEvent, async (req, res) => {
+  try {
+    if (!req.event) {
       return res.json({
         title: 'R-Talks Summit 2025',
         description: 'Event details will be updated soon',
@@ -252,7 +347,7 @@ app.get('/api/event', checkDbConnection, async (req, res) => {
       });
     }
     
-    res.json(result.rows[0]);
+    res.json(req.event);
   } catch (err) {
     console.error('Event fetch error:', err);
     res.status(500).json({ 
@@ -263,21 +358,14 @@ app.get('/api/event', checkDbConnection, async (req, res) => {
   }
 });
 
-// Get event stats
-app.get('/api/stats', checkDbConnection, async (req, res) => {
+// Get event stats, derived from orders, speakers and sponsors
+app.get(['/api/stats', '/api/events/:slug/stats'], checkDbConnection, resolveEvent, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM stats');
-    
-    if (result.rows.length === 0) {
-      // Return default stats if none exist
-      return res.json({
-        attendees: 500,
-        partners: 20,
-        speakers: 50
-      });
+    if (!req.event) {
+      return res.json({ attendees: 0, partners: 0, speakers: 0 });
     }
-    
-    res.json(result.rows[0]);
+
+    res.json(await getEventStats(pool, req.event.id));
   } catch (err) {
     console.error('Stats fetch error:', err);
     res.status(500).json({ 
@@ -289,13 +377,13 @@ app.get('/api/stats', checkDbConnection, async (req, res) => {
 });
 
 // Get site content
-app.get('/api/content/:section?', checkDbConnection, async (req, res) => {
+app.get(['/api/content/:section?', '/api/events/:slug/content/:section?'], checkDbConnection, resolveEvent, async (req, res) => {
   try {
-    let query = 'SELECT * FROM site_content';
-    let params = [];
+    let query = 'SELECT * FROM site_content WHERE event_id = $1';
+    let params = [req.event && req.event.id];
     
     if (req.params.section) {
-      query += ' WHERE section = $1';
+      query += ' AND section = $2';
       params.push(req.params.section);
     }
     
@@ -315,9 +403,16 @@ app.get('/api/content/:section?', checkDbConnection, async (req, res) => {
 });
 
 // Get active packages for public display
-app.get('/api/packages', checkDbConnection, async (req, res) => {
+app.get(['/api/packages', '/api/events/:slug/packages'], checkDbConnection, resolveEvent, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM event_packages WHERE is_active = true ORDER BY display_order, id');
+    const result = await pool.query(`
+      SELECT *,
+        CASE WHEN capacity IS NULL THEN NULL ELSE GREATEST(capacity - seats_reserved, 0) END AS remaining,
+        (capacity IS NOT NULL AND seats_reserved >= capacity) AS sold_out
+      FROM event_packages
+      WHERE is_active = true AND event_id = $1
+      ORDER BY display_order, id
+    `, [req.event && req.event.id]);
     res.json(result.rows);
   } catch (err) {
     console.error(err);
@@ -326,9 +421,12 @@ app.get('/api/packages', checkDbConnection, async (req, res) => {
 });
 
 // Get active speakers for public display
-app.get('/api/speakers', checkDbConnection, async (req, res) => {
+app.get(['/api/speakers', '/api/events/:slug/speakers'], checkDbConnection, resolveEvent, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM speakers WHERE is_active = true ORDER BY display_order, id');
+    const result = await pool.query(
+      'SELECT * FROM speakers WHERE is_active = true AND event_id = $1 ORDER BY display_order, id',
+      [req.event && req.event.id]
+    );
     res.json(result.rows);
   } catch (err) {
     console.error(err);
@@ -336,6 +434,90 @@ app.get('/api/speakers', checkDbConnection, async (req, res) => {
   }
 });
 
+// Get the agenda, grouped by day and then by track
+app.get(['/api/agenda', '/api/events/:slug/agenda'], checkDbConnection, resolveEvent, async (req, res) => {
+  try {
+    if (!req.event) {
+      return res.json({ event: null, timezone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata', days: [] });
+    }
+
+    res.json({
+      event: { id: req.event.id, slug: req.event.slug, title: req.event.title },
+      timezone: process.env.EVENT_TIMEZONE || 'Asia/Kolkata',
+      days: await getAgenda(pool, req.event.id)
+    });
+  } catch (err) {
+    console.error('Agenda fetch error:', err);
+    res.status(500).json({
+      error: 'Failed to fetch agenda',
+      message: 'Unable to load the agenda. Please try again later.',
+      code: 'AGENDA_FETCH_ERROR'
+    });
+  }
+});
+
+// Download the whole agenda as an iCalendar file
+app.get(['/api/agenda.ics', '/api/events/:slug/agenda.ics'], checkDbConnection, resolveEvent, async (req, res) => {
+  try {
+    if (!req.event) {
+      return res.status(404).json({
+        error: 'Event not found',
+        message: 'There is no event to export an agenda for',
+        code: 'EVENT_NOT_FOUND'
+      });
+    }
+
+    const sessions = await getEventSessions(pool, req.event.id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${req.event.slug}-agenda.ics"`);
+    res.send(buildIcs(req.event, sessions));
+  } catch (err) {
+    console.error('Agenda export error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a single session as an iCalendar file
+app.get('/api/sessions/:id.ics', checkDbConnection, async (req, res) => {
+  try {
+    const session = await getSession(pool, parseInt(req.params.id) || 0);
+    const eventResult = session
+      ? await pool.query('SELECT * FROM events WHERE id = $1 AND is_active = true', [session.event_id])
+      : { rows: [] };
+
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No session found with ID ${req.params.id}`,
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="session-${session.id}.ics"`);
+    res.send(buildIcs(eventResult.rows[0], [session]));
+  } catch (err) {
+    console.error('Session export error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get active sponsors for public display, grouped by tier
+app.get(['/api/sponsors', '/api/events/:slug/sponsors'], checkDbConnection, resolveEvent, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, tier, description, logo_url, website_url, display_order
+      FROM sponsors
+      WHERE is_active = true AND event_id = $1
+      ORDER BY display_order, id
+    `, [req.event && req.event.id]);
+    res.json(groupSponsorsByTier(result.rows));
+  } catch (err) {
+    console.error('Sponsors fetch error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get contact information for public display
 app.get('/api/contact-info', checkDbConnection, async (req, res) => {
   try {
@@ -362,6 +544,114 @@ app.get('/api/contact-info', checkDbConnection, async (req, res) => {
   }
 });
 
+// Render a ticket as a QR code (PNG by default, ?format=svg for SVG)
+app.get('/api/tickets/:code', checkDbConnection, async (req, res) => {
+  try {
+    const ticket = await getTicketByCode(pool, req.params.code);
+
+    if (!ticket) {
+      return res.status(404).json({
+        error: 'Ticket not found',
+        message: 'This ticket code is not valid',
+        code: 'TICKET_NOT_FOUND'
+      });
+    }
+
+    if (ticket.status !== 'valid') {
+      return res.status(410).json({
+        error: 'Ticket voided',
+        message: 'This ticket is no longer valid',
+        code: 'TICKET_VOID'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+
+    if (req.query.format === 'svg') {
+      const svg = await QRCode.toString(ticket.code, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+      return res.type('image/svg+xml').send(svg);
+    }
+
+    const png = await QRCode.toBuffer(ticket.code, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 400 });
+    res.type('image/png').send(png);
+  } catch (err) {
+    console.error('Ticket render error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load an order for a buyer document download, checking its signed token
+const loadOrderDocuments = async (req, res) => {
+  if (!isValidDocumentToken(req.params.id, req.query.token)) {
+    res.status(403).json({
+      error: 'Invalid link',
+      message: 'This download link is not valid',
+      code: 'DOCUMENT_TOKEN_INVALID'
+    });
+    return null;
+  }
+
+  const documentData = await getOrderDocumentData(pool, req.params.id);
+  if (!documentData) {
+    res.status(404).json({
+      error: 'Order not found',
+      message: 'This order does not exist',
+      code: 'ORDER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return documentData;
+};
+
+// Download the invoice for a paid order (?token= from the order confirmation)
+app.get('/api/orders/:id/invoice', checkDbConnection, async (req, res) => {
+  try {
+    const documentData = await loadOrderDocuments(req, res);
+    if (!documentData) return;
+
+    if (!documentData.order.invoice_number) {
+      return res.status(409).json({
+        error: 'Invoice not available',
+        message: 'The invoice is issued once the order is paid',
+        code: 'INVOICE_NOT_AVAILABLE'
+      });
+    }
+
+    const invoiceNumber = formatInvoiceNumber(documentData.order.invoice_number);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="invoice-${invoiceNumber}.pdf"`);
+    buildInvoicePdf(documentData).pipe(res);
+  } catch (err) {
+    console.error('Invoice download error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download printable tickets for a paid order (?token= from the order confirmation)
+app.get('/api/orders/:id/tickets', checkDbConnection, async (req, res) => {
+  try {
+    const documentData = await loadOrderDocuments(req, res);
+    if (!documentData) return;
+
+    const ticketsPdf = documentData.order.status === 'paid' ? await buildTicketsPdf(pool, documentData) : null;
+    if (!ticketsPdf) {
+      return res.status(409).json({
+        error: 'Tickets not available',
+        message: 'Tickets are available once the order is paid',
+        code: 'TICKETS_NOT_AVAILABLE'
+      });
+    }
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="tickets-order-${documentData.order.id}.pdf"`);
+    ticketsPdf.pipe(res);
+  } catch (err) {
+    console.error('Tickets download error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Upload speaker image endpoint
 app.post('/api/upload/speaker-image', upload.single('image'), (req, res) => {
   try {
@@ -386,8 +676,12 @@ const validateOrder = [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Invalid email format'),
   body('phone').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Invalid phone number format'),
-  body('package').isIn(['Professional', 'Executive', 'Leadership']).withMessage('Invalid package selection'),
-  body('price').isFloat({ min: 0.01 }).withMessage('Invalid price')
+  body('package_id').isInt({ min: 1 }).toInt().withMessage('Invalid package selection'),
+  body('promo_code').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Invalid promo code'),
+  body('attendees').optional().isArray({ min: 1, max: maxAttendeesPerOrder }).withMessage(`Between 1 and ${maxAttendeesPerOrder} attendees are allowed per order`),
+  body('attendees.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Attendee name must be between 2 and 100 characters'),
+  body('attendees.*.email').isEmail().normalizeEmail().withMessage('Invalid attendee email format'),
+  body('attendees.*.phone').optional({ values: 'falsy' }).matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Invalid attendee phone number format')
 ];
 
 // Create order
@@ -403,7 +697,11 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
     });
   }
 
-  const { name, email, phone, package: ticketPackage, price } = req.body;
+  const { name, email, phone, package_id: packageId, promo_code: promoCode } = req.body;
+
+  // Without an attendee list the buyer is the only attendee
+  const attendees = req.body.attendees || [{ name, email, phone }];
+  const quantity = attendees.length;
   
   let client;
   try {
@@ -412,23 +710,87 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
     try {
       await client.query('BEGIN');
       
-      // Create order in database
+      // Reserve the seats and read the price in one statement; the row lock keeps
+      // concurrent orders from going over capacity. Price never comes from the body.
+      const packageResult = await client.query(`
+        UPDATE event_packages
+        SET seats_reserved = seats_reserved + $2
+        WHERE id = $1 AND is_active = true
+        AND EXISTS (SELECT 1 FROM events e WHERE e.id = event_packages.event_id AND e.is_active = true)
+        AND (capacity IS NULL OR seats_reserved + $2 <= capacity)
+        RETURNING id, event_id, name, price, price_tiers
+      `, [packageId, quantity]);
+      const selectedPackage = packageResult.rows[0];
+
+      if (!selectedPackage) {
+        const existing = await client.query(`
+          SELECT p.is_active AND e.is_active AS available
+          FROM event_packages p
+          JOIN events e ON e.id = p.event_id
+          WHERE p.id = $1
+        `, [packageId]);
+        await client.query('ROLLBACK');
+
+        if (existing.rows.length > 0 && existing.rows[0].available) {
+          return res.status(409).json({
+            error: 'Package sold out',
+            message: quantity > 1
+              ? `Not enough seats left in the selected package for ${quantity} attendees`
+              : 'The selected ticket package is sold out',
+            code: 'PACKAGE_SOLD_OUT'
+          });
+        }
+
+        return res.status(400).json({
+          error: 'Package unavailable',
+          message: 'The selected ticket package is not available',
+          code: 'PACKAGE_UNAVAILABLE'
+        });
+      }
+
+      const ticketPackage = selectedPackage.name;
+      const { unitPrice, subtotal: price } = priceOrder(selectedPackage, quantity);
+
+      // Rejected codes throw a PROMO_CODE_* error and roll the order back
+      const appliedPromo = promoCode
+        ? await applyPromoCode(client, promoCode, { packageId: selectedPackage.id, price, email, lock: true })
+        : null;
+      const discount = appliedPromo ? appliedPromo.discount : 0;
+      const amount = appliedPromo ? appliedPromo.finalAmount : price;
+
+      // Create order in database, snapshotting the package as purchased
       const orderResult = await client.query(
-        'INSERT INTO orders (customer_name, customer_email, customer_phone, package_name, amount, status) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-        [name, email, phone, ticketPackage, price, 'pending']
+        'INSERT INTO orders (customer_name, customer_email, customer_phone, event_id, package_id, package_name, package_price, quantity, unit_price, promo_code_id, promo_code, discount_amount, amount, status, seat_held) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, true) RETURNING id',
+        [name, email, phone, selectedPackage.event_id, selectedPackage.id, ticketPackage, parseFloat(selectedPackage.price), quantity, unitPrice,
+          appliedPromo ? appliedPromo.promo.id : null, appliedPromo ? appliedPromo.promo.code : null,
+          discount, amount, 'pending']
       );
+      await recordOrderCreated(client, orderResult.rows[0].id);
+
+      for (const attendee of attendees) {
+        await client.query(
+          'INSERT INTO order_attendees (order_id, name, email, phone) VALUES ($1, $2, $3, $4)',
+          [orderResult.rows[0].id, attendee.name, attendee.email, attendee.phone || null]
+        );
+      }
 
       let paymentLink = null;
       let razorpayOrderId = null;
       
-      // Create Razorpay payment link for hosted page
-      if (razorpay) {
+      if (amount === 0) {
+        // Nothing to collect: a fully discounted order is paid on creation
+        await transitionOrder(client, orderResult.rows[0].id, 'paid', {
+          reason: `Fully discounted by promo code ${appliedPromo.promo.code}`,
+          changedBy: 'customer'
+        });
+      } else if (razorpay) {
+        // Create Razorpay payment link for hosted page
         try {
           const paymentLinkData = {
-            amount: price * 100, // Convert to paise
+            amount: Math.round(amount * 100), // Convert to paise
             currency: 'INR',
             accept_partial: false,
-            description: `R-Talks ${ticketPackage} Ticket`,
+            description: quantity > 1 ? `R-Talks ${ticketPackage} Tickets x ${quantity}` : `R-Talks ${ticketPackage} Ticket`,
             customer: {
               name: name,
               email: email,
@@ -439,9 +801,14 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
               email: true
             },
             reminder_enable: true,
+            expire_by: Math.floor(Date.now() / 1000) + paymentLinkExpiryMinutes * 60,
+            reference_id: String(orderResult.rows[0].id),
             notes: {
               order_id: orderResult.rows[0].id,
-              package: ticketPackage
+              package_id: selectedPackage.id,
+              package: ticketPackage,
+              quantity: quantity,
+              promo_code: appliedPromo ? appliedPromo.promo.code : ''
             },
             callback_url: `${process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3000'}/payment-success?order_id=${orderResult.rows[0].id}`,
             callback_method: 'get'
@@ -453,8 +820,8 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
           
           // Update order with payment link ID
           await client.query(
-            'UPDATE orders SET payment_id = $1 WHERE id = $2',
-            [razorpayOrderId, orderResult.rows[0].id]
+            'UPDATE orders SET payment_link_id = $1, payment_link_expires_at = TO_TIMESTAMP($2) WHERE id = $3',
+            [razorpayOrderId, paymentLinkData.expire_by, orderResult.rows[0].id]
           );
         } catch (razorpayError) {
           console.error('Razorpay payment link creation failed:', razorpayError);
@@ -463,12 +830,22 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
       }
 
       await client.query('COMMIT');
+      if (amount === 0) {
+        invalidateStats(selectedPackage.event_id);
+      }
       
       res.json({
         orderId: orderResult.rows[0].id,
         paymentLink: paymentLink,
         razorpayOrderId: razorpayOrderId,
-        amount: price,
+        amount: amount,
+        quantity: quantity,
+        unitPrice: unitPrice,
+        originalAmount: price,
+        discount: discount,
+        promoCode: appliedPromo ? appliedPromo.promo.code : null,
+        status: amount === 0 ? 'paid' : 'pending',
+        documentToken: createDocumentToken(orderResult.rows[0].id),
         testMode: !razorpay,
         useHostedPage: true
       });
@@ -478,6 +855,14 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
     }
   } catch (err) {
     console.error('Order creation error:', err);
+
+    if (err.code && err.code.startsWith('PROMO_CODE_')) {
+      return res.status(err.statusCode).json({
+        error: 'Promo code rejected',
+        message: err.message,
+        code: err.code
+      });
+    }
     
     // Handle specific database errors
     if (err.code === '23505') { // Unique constraint violation
@@ -499,6 +884,80 @@ app.post('/api/orders', checkDbConnection, validateOrder, async (req, res) => {
   }
 });
 
+// Validation middleware for promo code previews
+const validatePromoPreview = [
+  body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Promo code is required'),
+  body('package_id').isInt({ min: 1 }).toInt().withMessage('Invalid package selection'),
+  body('quantity').optional().isInt({ min: 1, max: maxAttendeesPerOrder }).toInt().withMessage('Invalid quantity'),
+  body('email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Invalid email format')
+];
+
+// Preview the discounted price for a promo code without placing an order
+app.post('/api/promo-codes/validate', checkDbConnection, validatePromoPreview, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input data',
+      code: 'VALIDATION_ERROR',
+      details: errors.array()
+    });
+  }
+
+  const { code, package_id: packageId, email } = req.body;
+  const quantity = req.body.quantity || 1;
+
+  try {
+    // Same availability rule as POST /api/orders, so only buyable packages are quoted
+    const packageResult = await pool.query(`
+      SELECT p.id, p.price, p.price_tiers
+      FROM event_packages p
+      JOIN events e ON e.id = p.event_id
+      WHERE p.id = $1 AND p.is_active = true AND e.is_active = true
+    `, [packageId]);
+    const selectedPackage = packageResult.rows[0];
+
+    if (!selectedPackage) {
+      return res.status(400).json({
+        error: 'Package unavailable',
+        message: 'The selected ticket package is not available',
+        code: 'PACKAGE_UNAVAILABLE'
+      });
+    }
+
+    const { unitPrice, subtotal: price } = priceOrder(selectedPackage, quantity);
+    const { promo, discount, finalAmount } = await applyPromoCode(pool, code, {
+      packageId: selectedPackage.id,
+      price,
+      email
+    });
+
+    res.json({
+      valid: true,
+      code: promo.code,
+      discountType: promo.discount_type,
+      discountValue: parseFloat(promo.discount_value),
+      quantity: quantity,
+      unitPrice: unitPrice,
+      originalPrice: price,
+      discount: discount,
+      finalPrice: finalAmount
+    });
+  } catch (err) {
+    if (err.code && err.code.startsWith('PROMO_CODE_')) {
+      return res.status(err.statusCode).json({
+        valid: false,
+        error: 'Promo code rejected',
+        message: err.message,
+        code: err.code
+      });
+    }
+
+    console.error('Promo code validation error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Verify payment
 app.post('/api/verify-payment', checkDbConnection, async (req, res) => {
   const { orderId, paymentId, signature } = req.body;
@@ -511,16 +970,23 @@ app.post('/api/verify-payment', checkDbConnection, async (req, res) => {
       .digest('hex');
 
     if (expectedSignature === signature) {
-      await pool.query(
-        'UPDATE orders SET status = $1, payment_id = $2 WHERE id = $3',
-        ['completed', paymentId, orderId]
-      );
+      await commitOrderTransition(pool, orderId, 'paid', {
+        reason: 'Checkout signature verified',
+        fields: { payment_id: paymentId }
+      });
       res.json({ success: true });
     } else {
       res.status(400).json({ error: 'Invalid signature' });
     }
   } catch (err) {
     console.error(err);
+    if (err.code === 'INVALID_ORDER_TRANSITION' || err.code === 'ORDER_NOT_FOUND') {
+      return res.status(err.statusCode).json({
+        error: 'Order cannot be updated',
+        message: err.message,
+        code: err.code
+      });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -546,17 +1012,31 @@ app.post('/api/contact', checkDbConnection, validateContact, async (req, res) =>
     });
   }
 
+  let client;
   try {
     const { name, phone, email, message } = req.body;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Spam is kept for review but answered like any other submission, so bots learn nothing
+    const spamReason = await detectSpam(client, { email, message }, req.body[HONEYPOT_FIELD]);
     
     // Insert contact form data
     const query = `
-      INSERT INTO contact_forms (name, phone, email, message)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO contact_forms (name, phone, email, message, status, spam_reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
       RETURNING id
     `;
     
-    const result = await pool.query(query, [name, phone, email, message]);
+    const result = await client.query(query, [name, phone, email, message, spamReason ? 'spam' : 'new', spamReason]);
+
+    // Acknowledgement and admin alert go out through the email outbox
+    if (!spamReason) {
+      await queueContactEmails(client, { id: result.rows[0].id, name, phone, email, message });
+    }
+
+    await client.query('COMMIT');
     
     res.json({ 
       success: true, 
@@ -564,31 +1044,62 @@ app.post('/api/contact', checkDbConnection, validateContact, async (req, res) =>
       id: result.rows[0].id
     });
   } catch (err) {
+    if (client) await client.query('ROLLBACK');
     console.error('Contact form error:', err);
     res.status(500).json({ error: 'Failed to submit contact form' });
+  } finally {
+    if (client) client.release();
   }
 });
 
 // Payment success callback from Razorpay hosted page
-app.get('/api/payment-success', async (req, res) => {
+app.get('/api/payment-success', checkDbConnection, async (req, res) => {
   const { order_id, razorpay_payment_id, razorpay_payment_link_id, razorpay_payment_link_reference_id, razorpay_payment_link_status, razorpay_signature } = req.query;
   
   const frontendUrl = process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3000';
   
   try {
-    if (razorpay_payment_link_status === 'paid' && order_id) {
-      // Update order status to completed
+    if (razorpay_payment_link_status !== 'paid' || !order_id) {
+      // Payment failed or cancelled
+      return res.redirect(`${frontendUrl}/?payment=failed&order=${order_id}`);
+    }
+
+    const orderResult = await pool.query('SELECT * FROM orders WHERE id = $1', [order_id]);
+    const order = orderResult.rows[0];
+
+    if (!order) {
+      return res.redirect(`${frontendUrl}/?payment=failed&order=${order_id}`);
+    }
+
+    // Never trust the query string alone: check the signature and ask Razorpay
+    const verification = await reconcilePaymentLink(req.app.get('razorpay'), order, {
+      paymentLinkId: razorpay_payment_link_id,
+      referenceId: razorpay_payment_link_reference_id,
+      status: razorpay_payment_link_status,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    }, process.env.RAZORPAY_KEY_SECRET);
+
+    if (verification !== 'verified') {
+      console.warn(`Payment callback for order ${order_id} not verified: ${verification}`);
       await pool.query(
-        'UPDATE orders SET status = $1, payment_id = $2 WHERE id = $3',
-        ['completed', razorpay_payment_id || razorpay_payment_link_id, order_id]
+        'UPDATE orders SET payment_verification_status = $1, payment_verified_at = CURRENT_TIMESTAMP WHERE id = $2 AND status IN ($3, $4)',
+        [verification, order_id, 'pending', 'failed']
       );
-      
-      // Redirect to frontend success page
-      res.redirect(`${frontendUrl}/?payment=success&order=${order_id}`);
-    } else {
-      // Payment failed or cancelled
-      res.redirect(`${frontendUrl}/?payment=failed&order=${order_id}`);
+      return res.redirect(`${frontendUrl}/?payment=failed&order=${order_id}`);
     }
+
+    await commitOrderTransition(pool, order_id, 'paid', {
+      reason: 'Payment link callback verified',
+      fields: {
+        payment_id: razorpay_payment_id,
+        payment_verification_status: verification,
+        payment_verified_at: new Date()
+      }
+    });
+
+    // Redirect to frontend success page
+    res.redirect(`${frontendUrl}/?payment=success&order=${order_id}&token=${createDocumentToken(order.id)}`);
   } catch (error) {
     console.error('Payment callback error:', error);
     res.redirect(`${frontendUrl}/?payment=error&order=${order_id}`);
@@ -596,26 +1107,121 @@ app.get('/api/payment-success', async (req, res) => {
 });
 
 // Razorpay webhook for payment notifications
-app.post('/api/razorpay-webhook', async (req, res) => {
+app.post('/api/razorpay-webhook', checkDbConnection, async (req, res) => {
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  const signature = req.get('X-Razorpay-Signature');
+
+  if (!webhookSecret) {
+    console.error('Webhook rejected: RAZORPAY_WEBHOOK_SECRET is not configured');
+    return res.status(503).json({
+      error: 'Webhook not configured',
+      message: 'Webhook secret is not configured on the server',
+      code: 'WEBHOOK_NOT_CONFIGURED'
+    });
+  }
+
+  if (!signature) {
+    return res.status(401).json({
+      error: 'Missing signature',
+      message: 'The X-Razorpay-Signature header is required',
+      code: 'WEBHOOK_SIGNATURE_MISSING'
+    });
+  }
+
+  if (!verifyWebhookSignature(req.rawBody, signature, webhookSecret)) {
+    return res.status(401).json({
+      error: 'Invalid signature',
+      message: 'Webhook signature verification failed',
+      code: 'WEBHOOK_SIGNATURE_INVALID'
+    });
+  }
+
+  const { event, payload } = req.body;
+  const eventId = getWebhookEventId(req.headers, req.rawBody);
+
+  let client;
   try {
-    const { event, payload } = req.body;
-    
-    if (event === 'payment_link.paid') {
-      const { payment_link, payment } = payload;
-      const orderId = payment_link.notes?.order_id;
-      
-      if (orderId) {
-        await pool.query(
-          'UPDATE orders SET status = $1, payment_id = $2 WHERE id = $3',
-          ['completed', payment.id, orderId]
-        );
+    client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Record the event first; a conflict means it was already handled
+      const eventResult = await client.query(
+        'INSERT INTO webhook_events (event_id, event_type) VALUES ($1, $2) ON CONFLICT (event_id) DO NOTHING RETURNING id',
+        [eventId, event]
+      );
+
+      if (eventResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        // Answer 200 so Razorpay stops retrying an event we already processed
+        return res.json({
+          status: 'ignored',
+          error: 'Duplicate webhook event',
+          message: `Event ${eventId} has already been processed`,
+          code: 'WEBHOOK_REPLAYED'
+        });
+      }
+
+      // Events whose cached stats are dropped once the transaction commits
+      const statsEventIds = [];
+      const applyTransition = async (orderId, toStatus, options) => {
+        if (!orderId) return;
+        try {
+          const { changed, order } = await transitionOrder(client, orderId, toStatus, { changedBy: 'razorpay-webhook', ...options });
+          if (changed && STATS_CHANGING_STATUSES.includes(toStatus)) {
+            statsEventIds.push(order.event_id);
+          }
+        } catch (err) {
+          // Still record the event: retrying cannot make this transition valid
+          if (err.code !== 'INVALID_ORDER_TRANSITION' && err.code !== 'ORDER_NOT_FOUND') throw err;
+          console.warn(`Webhook ${eventId} (${event}) ignored: ${err.message}`);
+        }
+      };
+
+      if (event === 'payment_link.paid') {
+        const { payment_link, payment } = payload;
+        await applyTransition(payment_link.entity.notes?.order_id, 'paid', {
+          reason: 'payment_link.paid webhook',
+          fields: { payment_id: payment.entity.id }
+        });
+      } else if (event === 'payment_link.expired') {
+        await applyTransition(payload.payment_link.entity.notes?.order_id, 'expired', {
+          reason: 'payment_link.expired webhook'
+        });
+      } else if (event === 'payment_link.cancelled') {
+        await applyTransition(payload.payment_link.entity.notes?.order_id, 'cancelled', {
+          reason: 'payment_link.cancelled webhook'
+        });
+      } else if (event === 'payment.failed') {
+        const payment = payload.payment.entity;
+        await applyTransition(payment.notes?.order_id, 'failed', {
+          reason: payment.error_description || 'payment.failed webhook'
+        });
+      } else if (event === 'refund.processed' || event === 'refund.failed') {
+        const applied = await applyRefundEvent(client, payload.refund.entity, event === 'refund.processed' ? 'processed' : 'failed');
+        if (applied && applied.refundedOrder) {
+          statsEventIds.push(applied.refundedOrder.event_id);
+        }
       }
+
+      await client.query('COMMIT');
+      statsEventIds.forEach(invalidateStats);
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
     }
-    
+
     res.json({ status: 'ok' });
   } catch (error) {
     console.error('Webhook error:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    res.status(500).json({
+      error: 'Webhook processing failed',
+      message: 'Unable to process webhook event',
+      code: 'WEBHOOK_PROCESSING_ERROR'
+    });
+  } finally {
+    if (client) client.release();
   }
 });
 
@@ -686,6 +1292,59 @@ app.use((req, res, next) => {
     next();
 });
 
+// Periodically expire pending orders whose payment link has lapsed
+let orderSweepTimer = null;
+
+function startOrderSweeper() {
+  if (!pool || orderSweepTimer) return;
+
+  const sweep = async () => {
+    try {
+      const expired = await expireStaleOrders(pool, razorpay, { fallbackMinutes: paymentLinkExpiryMinutes });
+      if (expired > 0) {
+        console.log(`⏰ Expired ${expired} stale pending order(s)`);
+      }
+    } catch (error) {
+      console.error('Order sweep failed:', error.message);
+    }
+  };
+
+  orderSweepTimer = setInterval(sweep, orderSweepIntervalMinutes * 60 * 1000);
+  orderSweepTimer.unref();
+}
+
+// Deliver queued emails and retry failed sends
+let emailOutboxTimer = null;
+
+function startOutboxWorker() {
+  if (!pool || emailOutboxTimer) return;
+
+  // Queued mail stays pending until a transport is configured and the server restarts
+  if (!app.get('mailer')) {
+    console.warn('⚠️ Mail is not configured: set SMTP_HOST or MAIL_TRANSPORT; queued emails stay pending');
+    return;
+  }
+
+  let running = false;
+  const deliver = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await processOutbox(pool, app.get('mailer'), { maxAttempts: emailMaxAttempts });
+      if (sent > 0 || failed > 0) {
+        console.log(`📧 Outbox: ${sent} sent, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Email outbox run failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  emailOutboxTimer = setInterval(deliver, emailOutboxIntervalSeconds * 1000);
+  emailOutboxTimer.unref();
+}
+
 // Start server with database initialization
 async function startServer() {
   try {
@@ -693,6 +1352,8 @@ async function startServer() {
     console.log('🔧 Initializing database...');
     await initializeDatabase();
     console.log('✅ Database initialization completed');
+    startOrderSweeper();
+    startOutboxWorker();
     
     // Start the server
     const server = app.listen(port, '0.0.0.0', () => {
@@ -701,6 +1362,7 @@ async function startServer() {
       console.log(`🌐 Health check: http://localhost:${port}/api/health`);
       console.log(`💾 Database: ${pool ? '✅ Connected & Initialized' : '❌ Disconnected'}`);
       console.log(`💳 Razorpay: ${razorpay ? '✅ Configured' : '⚠️ Test Mode'}`);
+      console.log(`📧 Mail transport: ${mailer ? mailer.name : '⚠️ Not configured'}`);
     });
     
     return server;
@@ -721,23 +1383,32 @@ async function startServer() {
   }
 }
 
-// Start the server
-startServer().then(server => {
-  // Store server reference for graceful shutdown
-  global.server = server;
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  startServer().then(server => {
+    // Store server reference for graceful shutdown
+    global.server = server;
 
-}).catch(error => {
-  console.error('❌ Failed to start server:', error);
-  process.exit(1);
-});
+  }).catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+  // Graceful shutdown
+  process.on('SIGTERM', gracefulShutdown);
+  process.on('SIGINT', gracefulShutdown);
+}
 
 function gracefulShutdown(signal) {
   console.log(`\n📥 Received ${signal}. Starting graceful shutdown...`);
   
+  if (orderSweepTimer) {
+    clearInterval(orderSweepTimer);
+  }
+  if (emailOutboxTimer) {
+    clearInterval(emailOutboxTimer);
+  }
+
   const server = global.server;
   if (server) {
     server.close(() => {
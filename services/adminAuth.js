@@ -0,0 +1,271 @@
+// First-run setup and the admin password lifecycle. On a database without
+// admins the first owner comes from ADMIN_EMAIL/ADMIN_PASSWORD, or else from
+// POST /api/admin/setup with a one-time token printed to the server log.
+// Admins change their password while signed in or reset it with an emailed
+// link. A password chosen by someone else must be changed at the next sign-in,
+// and changing a password revokes every session. The admin123 password older
+// versions seeded is public, so it is cleared rather than changed: that admin
+// comes back through a reset email, or the setup token when no owner is left.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { serviceError } = require('./errors');
+const { enqueueEmail } = require('./email');
+const { validatePassword } = require('./passwords');
+const { hashToken } = require('./admins');
+const { unlockAccount } = require('./loginThrottle');
+const { revokeAdminSessions } = require('./adminSessions');
+
+// Seeded by earlier versions as admin@rtalks.com / admin123
+const LEGACY_DEFAULT_PASSWORD = 'admin123';
+
+const getHours = (name, fallback) => {
+  const hours = parseInt(process.env[name]);
+  return Number.isNaN(hours) || hours < 1 ? fallback : hours;
+};
+
+const getResetMinutes = () => {
+  const minutes = parseInt(process.env.ADMIN_PASSWORD_RESET_MINUTES);
+  return Number.isNaN(minutes) || minutes < 1 ? 60 : minutes;
+};
+
+const countAdmins = async (db) => {
+  const result = await db.query('SELECT COUNT(*) AS count FROM admins');
+  return parseInt(result.rows[0].count);
+};
+
+// Owners who can sign in; setup is open while there are none
+const countOwners = async (db) => {
+  const result = await db.query(`
+    SELECT COUNT(*) AS count FROM admins
+    WHERE role = 'owner' AND is_active = true AND password_hash IS NOT NULL
+  `);
+  return parseInt(result.rows[0].count);
+};
+
+// Replace the setup token; only its hash is stored
+const createSetupToken = async (db) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const hours = getHours('ADMIN_SETUP_TOKEN_HOURS', 24);
+  await db.query(`
+    INSERT INTO admin_setup (id, token_hash, expires_at)
+    VALUES (1, $1, CURRENT_TIMESTAMP + make_interval(hours => $2))
+    ON CONFLICT (id) DO UPDATE SET token_hash = EXCLUDED.token_hash, expires_at = EXCLUDED.expires_at
+  `, [hashToken(token), hours]);
+  return { token, hours };
+};
+
+// Clear the password of every admin still using the old default and sign them
+// out; returns how many there were
+const clearDefaultPasswords = async (db) => {
+  const admins = await db.query('SELECT id, password_hash FROM admins WHERE password_hash IS NOT NULL');
+  let cleared = 0;
+  for (const admin of admins.rows) {
+    if (await bcrypt.compare(LEGACY_DEFAULT_PASSWORD, admin.password_hash)) {
+      await db.query(`
+        UPDATE admins SET password_hash = NULL, must_change_password = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [admin.id]);
+      await revokeAdminSessions(db, admin.id, { reason: 'default_password' });
+      cleared++;
+    }
+  }
+  return cleared;
+};
+
+const printSetupToken = async (db, reason) => {
+  const { token, hours } = await createSetupToken(db);
+  console.log(`🔐 ${reason}. Create an owner with POST /api/admin/setup`);
+  console.log(`   using this one-time setup token (valid for ${hours} hours): ${token}`);
+};
+
+// Run at start-up. Without admins, create the first owner from the environment
+// or print a setup token. With admins, clear the old default password, and
+// print a setup token if that leaves no owner who can sign in.
+const bootstrapAdmin = async (db) => {
+  if (await countAdmins(db) > 0) {
+    const cleared = await clearDefaultPasswords(db);
+    if (cleared > 0) {
+      console.log(`⚠️ ${cleared} admin(s) still used the default password; it was cleared, reset it by email to sign in again`);
+    }
+    if (await countOwners(db) === 0) {
+      await printSetupToken(db, 'No owner can sign in');
+    } else {
+      await db.query('DELETE FROM admin_setup');
+    }
+    return;
+  }
+
+  const email = process.env.ADMIN_EMAIL ? process.env.ADMIN_EMAIL.trim().toLowerCase() : '';
+  const password = process.env.ADMIN_PASSWORD;
+  if (email && password) {
+    try {
+      validatePassword(password, { email });
+      // The password sits in the environment, so it is only good for the first sign-in
+      await db.query(`
+        INSERT INTO admins (email, role, password_hash, must_change_password, password_changed_at)
+        VALUES ($1, 'owner', $2, true, CURRENT_TIMESTAMP)
+      `, [email, await bcrypt.hash(password, 10)]);
+      console.log(`👤 Owner account created for ${email} from ADMIN_EMAIL; change the password at first sign-in`);
+      return;
+    } catch (error) {
+      if (error.code !== 'ADMIN_PASSWORD_WEAK') throw error;
+      console.log(`⚠️ ADMIN_PASSWORD was not used: ${error.problems.join('; ')}`);
+    }
+  }
+
+  await printSetupToken(db, 'No admin account exists yet');
+};
+
+const getSetupStatus = async (db) => ({ setupRequired: await countOwners(db) === 0 });
+
+// Create an owner with the setup token printed at start-up. An existing
+// account with the same email, such as the old default admin, is taken over:
+// it becomes an active owner with the new password and two-factor turned off.
+const completeSetup = async (pool, input) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('admins:setup'))");
+
+    if (await countOwners(client) > 0) {
+      throw serviceError('Setup has already been completed', 'SETUP_COMPLETE', 409);
+    }
+    const setup = await client.query(
+      'SELECT 1 FROM admin_setup WHERE id = 1 AND token_hash = $1 AND expires_at > CURRENT_TIMESTAMP',
+      [hashToken(String(input.token || ''))]
+    );
+    if (setup.rows.length === 0) {
+      throw serviceError('The setup token is invalid or has expired; restart the server for a new one', 'SETUP_TOKEN_INVALID', 400);
+    }
+
+    const email = input.email ? String(input.email).trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255) {
+      throw serviceError('A valid email is required', 'ADMIN_EMAIL_INVALID', 400);
+    }
+    validatePassword(input.password, { email });
+
+    const name = input.name ? String(input.name).trim().slice(0, 255) : null;
+    const passwordHash = await bcrypt.hash(input.password, 10);
+    const existing = await client.query('SELECT id FROM admins WHERE LOWER(email) = $1', [email]);
+    let result;
+    if (existing.rows.length > 0) {
+      result = await client.query(`
+        UPDATE admins
+        SET name = COALESCE($2, name), role = 'owner', is_active = true, password_hash = $3,
+            password_changed_at = CURRENT_TIMESTAMP, must_change_password = false,
+            reset_token_hash = NULL, reset_expires_at = NULL, invite_token_hash = NULL, invite_expires_at = NULL,
+            totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, email, name, role
+      `, [existing.rows[0].id, name, passwordHash]);
+      await client.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [existing.rows[0].id]);
+      await revokeAdminSessions(client, existing.rows[0].id, { reason: 'setup' });
+    } else {
+      result = await client.query(`
+        INSERT INTO admins (email, name, role, password_hash, password_changed_at)
+        VALUES ($1, $2, 'owner', $3, CURRENT_TIMESTAMP)
+        RETURNING id, email, name, role
+      `, [email, name, passwordHash]);
+    }
+    await client.query('DELETE FROM admin_setup');
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const setPassword = async (db, adminId, password) => {
+  await db.query(`
+    UPDATE admins
+    SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, must_change_password = false,
+        reset_token_hash = NULL, reset_expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [adminId, await bcrypt.hash(password, 10)]);
+  await revokeAdminSessions(db, adminId, { reason: 'password_changed' });
+};
+
+// Check an admin's current password before a sensitive change; returns their email and hash
+const confirmPassword = async (db, adminId, password) => {
+  const result = await db.query('SELECT email, password_hash FROM admins WHERE id = $1', [adminId]);
+  const admin = result.rows[0];
+
+  if (!admin || !admin.password_hash || !(await bcrypt.compare(String(password || ''), admin.password_hash))) {
+    throw serviceError('The current password is incorrect', 'PASSWORD_INCORRECT', 400);
+  }
+  return admin;
+};
+
+// Change the signed-in admin's password after checking the current one
+const changePassword = async (db, adminId, currentPassword, newPassword) => {
+  const admin = await confirmPassword(db, adminId, currentPassword);
+  validatePassword(newPassword, { email: admin.email });
+  if (await bcrypt.compare(newPassword, admin.password_hash)) {
+    throw serviceError('The new password must differ from the current one', 'PASSWORD_REUSED', 400);
+  }
+
+  await setPassword(db, adminId, newPassword);
+};
+
+const resetUrl = (token) => {
+  const baseUrl = process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3000';
+  return `${baseUrl}/admin/reset-password?token=${token}`;
+};
+
+// Email a reset link to an active admin, including one whose default password
+// was cleared. Invited admins use their invitation instead. Unknown addresses
+// are ignored silently, so the response never reveals who has an account.
+const requestPasswordReset = async (db, email) => {
+  const result = await db.query(`
+    SELECT id, email, name FROM admins
+    WHERE LOWER(email) = LOWER($1) AND is_active = true AND (password_hash IS NOT NULL OR invite_token_hash IS NULL)
+  `, [String(email || '').trim()]);
+  const admin = result.rows[0];
+  if (!admin) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = getResetMinutes();
+  await db.query(`
+    UPDATE admins SET reset_token_hash = $2, reset_expires_at = CURRENT_TIMESTAMP + make_interval(mins => $3)
+    WHERE id = $1
+  `, [admin.id, hashToken(token), minutes]);
+  await enqueueEmail(db, 'admin_password_reset', admin.email, {
+    name: admin.name || admin.email,
+    reset_url: resetUrl(token),
+    expires_in_minutes: minutes
+  });
+};
+
+// Set a new password with the token from a reset email. This also lifts a
+// sign-in lockout, since the admin has proved they own the email address.
+const resetPassword = async (db, token, newPassword) => {
+  const result = await db.query(`
+    SELECT id, email FROM admins
+    WHERE reset_token_hash = $1 AND reset_expires_at > CURRENT_TIMESTAMP AND is_active = true
+  `, [hashToken(String(token || ''))]);
+  const admin = result.rows[0];
+  if (!admin) {
+    throw serviceError('This reset link is invalid or has expired', 'PASSWORD_RESET_INVALID', 400);
+  }
+
+  validatePassword(newPassword, { email: admin.email });
+  await setPassword(db, admin.id, newPassword);
+  await unlockAccount(db, admin, null);
+};
+
+module.exports = {
+  bootstrapAdmin,
+  getSetupStatus,
+  completeSetup,
+  confirmPassword,
+  changePassword,
+  requestPasswordReset,
+  resetPassword
+};
@@ -0,0 +1,179 @@
+// Admin sessions. Signing in creates a row in admin_sessions and hands out a
+// short-lived access token (ADMIN_ACCESS_TOKEN_MINUTES, default 15) naming the
+// session, plus a refresh token (valid ADMIN_REFRESH_TOKEN_DAYS, default 7, from
+// its last use). Only the refresh token's hash is stored, and every refresh
+// replaces it. A replaced token presented again means it was copied, so the
+// session is revoked. Revoking a session stops its access token at once.
+const crypto = require('crypto');
+const { serviceError } = require('./errors');
+
+// Two tabs refreshing at the same moment send the same token; within this
+// window the late one is told to use the new cookie instead of being treated as theft
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+const getSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+};
+
+const getAccessTokenMinutes = () => getSetting('ADMIN_ACCESS_TOKEN_MINUTES', 15);
+const getRefreshTokenDays = () => getSetting('ADMIN_REFRESH_TOKEN_DAYS', 7);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A short description of the browser and system a session was started from
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//], ['curl', /^curl\//], ['Postman', /PostmanRuntime/]
+  ];
+  const systems = [
+    ['Windows', /Windows/], ['iOS', /iPhone|iPad/], ['macOS', /Mac OS X|Macintosh/],
+    ['Android', /Android/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) {
+    return `${browser[0]} on ${system[0]}`;
+  }
+  return browser ? browser[0] : system ? system[0] : 'Unknown device';
+};
+
+// Start a session; returns it with the plain refresh token, which is never stored
+const createSession = async (db, adminId, { ip, userAgent }) => {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+
+  // Forget sessions that ended more than 30 days ago
+  await db.query(`
+    DELETE FROM admin_sessions
+    WHERE admin_id = $1 AND COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - INTERVAL '30 days'
+  `, [adminId]);
+  const result = await db.query(`
+    INSERT INTO admin_sessions (admin_id, refresh_token_hash, ip_address, user_agent, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+    RETURNING id, admin_id
+  `, [adminId, hashToken(refreshToken), ip || null, userAgent ? String(userAgent).slice(0, 500) : null, getRefreshTokenDays()]);
+
+  return { session: result.rows[0], refreshToken: refreshToken };
+};
+
+// Swap a refresh token for a new one, keeping the session. Throws
+// REFRESH_TOKEN_INVALID when the token is unknown, expired or revoked, and
+// REFRESH_TOKEN_SUPERSEDED when it was replaced a moment ago.
+const rotateRefreshToken = async (pool, refreshToken, { ip, userAgent }) => {
+  const invalid = () => serviceError('Your session has ended, please sign in again', 'REFRESH_TOKEN_INVALID', 401);
+  if (!refreshToken) {
+    throw invalid();
+  }
+  const tokenHash = hashToken(String(refreshToken));
+  const newToken = crypto.randomBytes(32).toString('hex');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      SELECT s.id, s.admin_id, s.refresh_token_hash = $1 AS is_current,
+             s.rotated_at > CURRENT_TIMESTAMP - make_interval(secs => $2) AS recently_rotated
+      FROM admin_sessions s
+      JOIN admins a ON a.id = s.admin_id
+      WHERE (s.refresh_token_hash = $1 OR s.previous_refresh_token_hash = $1)
+        AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP AND a.is_active = true
+      FOR UPDATE OF s
+    `, [tokenHash, REFRESH_REUSE_GRACE_SECONDS]);
+    const session = result.rows[0];
+    if (!session) {
+      throw invalid();
+    }
+
+    if (!session.is_current) {
+      if (session.recently_rotated) {
+        throw serviceError('This session was just refreshed; retry with the new token', 'REFRESH_TOKEN_SUPERSEDED', 409);
+      }
+      await client.query(`
+        UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reused' WHERE id = $1
+      `, [session.id]);
+      await client.query('COMMIT');
+      throw invalid();
+    }
+
+    await client.query(`
+      UPDATE admin_sessions
+      SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = $2, rotated_at = CURRENT_TIMESTAMP,
+          last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE($3, ip_address), user_agent = COALESCE($4, user_agent),
+          expires_at = CURRENT_TIMESTAMP + make_interval(days => $5)
+      WHERE id = $1
+    `, [session.id, hashToken(newToken), ip || null, userAgent ? String(userAgent).slice(0, 500) : null, getRefreshTokenDays()]);
+
+    await client.query('COMMIT');
+    return { session: { id: session.id, admin_id: session.admin_id }, refreshToken: newToken };
+  } catch (error) {
+    // Also closes the transaction when a reused token was refused; after COMMIT it is a no-op
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// The session a refresh token belongs to, or null
+const findSessionByRefreshToken = async (db, refreshToken) => {
+  if (!refreshToken) {
+    return null;
+  }
+  const result = await db.query(
+    'SELECT id, admin_id FROM admin_sessions WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+    [hashToken(String(refreshToken))]
+  );
+  return result.rows[0] || null;
+};
+
+// An admin's sessions that are still open, most recently used first
+const listSessions = async (db, adminId, currentSessionId) => {
+  const result = await db.query(`
+    SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+    FROM admin_sessions
+    WHERE admin_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `, [adminId]);
+  return result.rows.map(session => ({
+    ...session,
+    device: describeDevice(session.user_agent),
+    current: session.id === currentSessionId
+  }));
+};
+
+const revokeSession = async (db, adminId, sessionId, reason) => {
+  const result = await db.query(`
+    UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+    WHERE id = $1 AND admin_id = $2 AND revoked_at IS NULL
+    RETURNING id
+  `, [sessionId, adminId, reason]);
+  if (result.rows.length === 0) {
+    throw serviceError(`Session ${sessionId} not found`, 'SESSION_NOT_FOUND', 404);
+  }
+};
+
+// Revoke every open session of an admin, except one when exceptSessionId is
+// given; returns how many were revoked
+const revokeAdminSessions = async (db, adminId, { reason, exceptSessionId }) => {
+  const result = await db.query(`
+    UPDATE admin_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE admin_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $3
+  `, [adminId, reason, exceptSessionId || null]);
+  return result.rowCount;
+};
+
+module.exports = {
+  getAccessTokenMinutes,
+  getRefreshTokenDays,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAdminSessions
+};
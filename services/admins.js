@@ -0,0 +1,231 @@
+// Admin accounts. Owners create admins directly, with a password the admin
+// must change at first sign-in, or invite them by email; an invited admin
+// picks a password through a one-time link. Accounts are disabled rather than
+// deleted. Changes are refused when they would leave no active owner, so the
+// admin can never be locked out.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { serviceError } = require('./errors');
+const { enqueueEmail } = require('./email');
+const { ADMIN_ROLES } = require('./permissions');
+const { validatePassword } = require('./passwords');
+const { revokeAdminSessions } = require('./adminSessions');
+
+const ADMIN_COLUMNS = `
+  id, email, name, role, is_active,
+  CASE WHEN NOT is_active THEN 'disabled' WHEN password_hash IS NOT NULL THEN 'active'
+       WHEN invite_token_hash IS NOT NULL THEN 'invited' ELSE 'password_reset_required' END AS status,
+  must_change_password, totp_enabled_at IS NOT NULL AS two_factor_enabled, invite_expires_at, invited_by, last_login_at, created_at, updated_at,
+  (
+    SELECT locked_until FROM admin_login_throttles
+    WHERE scope = 'account' AND key = LOWER(admins.email) AND locked_until > CURRENT_TIMESTAMP
+  ) AS locked_until
+`;
+
+const getInviteHours = () => {
+  const hours = parseInt(process.env.ADMIN_INVITE_HOURS);
+  return Number.isNaN(hours) || hours < 1 ? 72 : hours;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : '');
+
+// Validate the email, name and role of a new admin
+const parseAdminInput = (input) => {
+  const email = normalizeEmail(input.email);
+  const role = input.role || 'content_editor';
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255) {
+    throw serviceError('A valid email is required', 'ADMIN_EMAIL_INVALID', 400);
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw serviceError(`Role must be one of ${ADMIN_ROLES.join(', ')}`, 'ADMIN_ROLE_INVALID', 400);
+  }
+  return { email: email, name: input.name ? String(input.name).trim().slice(0, 255) : null, role: role };
+};
+
+const emailTaken = (email) => serviceError(`An admin with the email ${email} already exists`, 'ADMIN_EMAIL_TAKEN', 409);
+const notFound = (id) => serviceError(`Admin ${id} not found`, 'ADMIN_NOT_FOUND', 404);
+
+const listAdmins = async (db) => {
+  const result = await db.query(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY id`);
+  return result.rows;
+};
+
+const getAdmin = async (db, id) => {
+  const result = await db.query(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Create an admin who can sign in straight away
+const createAdmin = async (db, input, createdBy) => {
+  const values = parseAdminInput(input);
+  validatePassword(input.password, { email: values.email });
+
+  try {
+    const result = await db.query(`
+      INSERT INTO admins (email, name, role, password_hash, invited_by, must_change_password, password_changed_at)
+      VALUES ($1, $2, $3, $4, $5, true, CURRENT_TIMESTAMP)
+      RETURNING id
+    `, [values.email, values.name, values.role, await bcrypt.hash(input.password, 10), createdBy]);
+    return getAdmin(db, result.rows[0].id);
+  } catch (error) {
+    if (error.code === '23505') {
+      throw emailTaken(values.email);
+    }
+    throw error;
+  }
+};
+
+const inviteUrl = (token) => {
+  const baseUrl = process.env.FRONTEND_URL || process.env.APP_URL || 'http://localhost:3000';
+  return `${baseUrl}/admin/accept-invite?token=${token}`;
+};
+
+// Invite an admin by email. Inviting someone whose invitation is still open
+// sends a fresh link and updates their name and role.
+const inviteAdmin = async (pool, input, invitedBy) => {
+  const values = parseAdminInput(input);
+  const token = crypto.randomBytes(32).toString('hex');
+  const inviteHours = getInviteHours();
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const existing = await client.query('SELECT * FROM admins WHERE LOWER(email) = $1 FOR UPDATE', [values.email]);
+    if (existing.rows.length > 0 && (existing.rows[0].password_hash || !existing.rows[0].is_active)) {
+      throw emailTaken(values.email);
+    }
+
+    const result = existing.rows.length > 0
+      ? await client.query(`
+          UPDATE admins
+          SET name = COALESCE($2, name), role = $3, invite_token_hash = $4,
+              invite_expires_at = CURRENT_TIMESTAMP + make_interval(hours => $5), invited_by = $6,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING id
+        `, [existing.rows[0].id, values.name, values.role, hashToken(token), inviteHours, invitedBy])
+      : await client.query(`
+          INSERT INTO admins (email, name, role, invite_token_hash, invite_expires_at, invited_by)
+          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(hours => $5), $6)
+          RETURNING id
+        `, [values.email, values.name, values.role, hashToken(token), inviteHours, invitedBy]);
+
+    const inviter = await client.query('SELECT email, name FROM admins WHERE id = $1', [invitedBy]);
+    await enqueueEmail(client, 'admin_invite', values.email, {
+      name: values.name || values.email,
+      role: values.role.replace(/_/g, ' '),
+      invited_by: inviter.rows[0] ? inviter.rows[0].name || inviter.rows[0].email : 'An owner',
+      invite_url: inviteUrl(token),
+      expires_in_hours: inviteHours
+    });
+
+    await client.query('COMMIT');
+    return getAdmin(pool, result.rows[0].id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Set the password of an invited admin from the token in their invitation
+const acceptInvite = async (db, token, password) => {
+  const openInvite = `
+    invite_token_hash = $1 AND invite_expires_at > CURRENT_TIMESTAMP AND password_hash IS NULL AND is_active = true
+  `;
+  const tokenHash = hashToken(String(token || ''));
+
+  const invited = await db.query(`SELECT email FROM admins WHERE ${openInvite}`, [tokenHash]);
+  if (invited.rows.length === 0) {
+    throw serviceError('This invitation is invalid or has expired', 'ADMIN_INVITE_INVALID', 400);
+  }
+  validatePassword(password, { email: invited.rows[0].email });
+
+  const result = await db.query(`
+    UPDATE admins
+    SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, invite_token_hash = NULL, invite_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE ${openInvite}
+    RETURNING id
+  `, [tokenHash, await bcrypt.hash(password, 10)]);
+
+  if (result.rows.length === 0) {
+    throw serviceError('This invitation is invalid or has expired', 'ADMIN_INVITE_INVALID', 400);
+  }
+  return getAdmin(db, result.rows[0].id);
+};
+
+// Run a change to one admin in a transaction, refusing it when no active
+// owner who can sign in would be left afterwards
+const changeAdmin = async (pool, id, sql, params) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialise owner changes so two owners cannot demote each other at once
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('admins:owners'))");
+
+    const result = await client.query(sql, [id, ...params]);
+    if (result.rows.length === 0) {
+      throw notFound(id);
+    }
+
+    const owners = await client.query(`
+      SELECT COUNT(*) AS count FROM admins
+      WHERE role = 'owner' AND is_active = true AND password_hash IS NOT NULL
+    `);
+    if (parseInt(owners.rows[0].count) === 0) {
+      throw serviceError('There must always be at least one active owner', 'ADMIN_LAST_OWNER', 409);
+    }
+
+    await client.query('COMMIT');
+    return getAdmin(pool, id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Change the name and/or role of an admin
+const updateAdmin = async (pool, id, input) => {
+  if (input.role !== undefined && !ADMIN_ROLES.includes(input.role)) {
+    throw serviceError(`Role must be one of ${ADMIN_ROLES.join(', ')}`, 'ADMIN_ROLE_INVALID', 400);
+  }
+  if (input.role === undefined && input.name === undefined) {
+    throw serviceError('Send a name or a role', 'ADMIN_UPDATE_EMPTY', 400);
+  }
+
+  return changeAdmin(pool, id, `
+    UPDATE admins
+    SET name = CASE WHEN $2 THEN $3 ELSE name END, role = COALESCE($4, role), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id
+  `, [input.name !== undefined, input.name ? String(input.name).trim().slice(0, 255) : null, input.role || null]);
+};
+
+// Disable or re-enable an admin; disabling revokes all their sessions
+const setAdminActive = async (pool, id, isActive) => {
+  const admin = await changeAdmin(pool, id, `
+    UPDATE admins SET is_active = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id
+  `, [isActive]);
+  if (!isActive) {
+    await revokeAdminSessions(pool, id, { reason: 'admin_disabled' });
+  }
+  return admin;
+};
+
+module.exports = {
+  hashToken,
+  listAdmins,
+  getAdmin,
+  createAdmin,
+  inviteAdmin,
+  acceptInvite,
+  updateAdmin,
+  setAdminActive
+};
@@ -0,0 +1,273 @@
+// Event agenda: sessions with a track, a room, a time slot and any number of
+// speakers. Sessions of one event are saved under an advisory lock so two
+// admins cannot book the same room or speaker into overlapping slots.
+const { serviceError } = require('./errors');
+
+// Agenda days are cut in the event's local time
+const getAgendaTimezone = () => process.env.EVENT_TIMEZONE || 'Asia/Kolkata';
+
+const SESSION_COLUMNS = `
+  s.id, s.event_id, s.title, s.description, s.track, s.room, s.starts_at, s.ends_at,
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'id', sp.id, 'name', sp.name, 'title', sp.title, 'company', sp.company, 'image_url', sp.image_url
+    ) ORDER BY ss.display_order, sp.id)
+    FROM session_speakers ss
+    JOIN speakers sp ON sp.id = ss.speaker_id
+    WHERE ss.session_id = s.id AND sp.is_active = true
+  ), '[]') AS speakers
+`;
+
+// An ISO 8601 date and time with Z or an offset; without one the server's timezone would apply
+const ISO_TIME_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// Validate an admin session payload; returns { values } or { error }
+const parseSessionInput = (input) => {
+  const title = input.title ? String(input.title).trim() : '';
+  const startsAt = new Date(input.starts_at);
+  const endsAt = new Date(input.ends_at);
+  const speakerIds = input.speaker_ids === undefined || input.speaker_ids === null ? [] : input.speaker_ids;
+
+  if (!title) {
+    return { error: 'Title is required' };
+  }
+  if (!input.starts_at || !input.ends_at || Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    return { error: 'starts_at and ends_at must be valid dates' };
+  }
+  if (!ISO_TIME_WITH_OFFSET.test(String(input.starts_at)) || !ISO_TIME_WITH_OFFSET.test(String(input.ends_at))) {
+    return { error: 'starts_at and ends_at must be ISO 8601 times with an offset, e.g. 2026-03-15T09:00:00+05:30' };
+  }
+  if (endsAt <= startsAt) {
+    return { error: 'A session must end after it starts' };
+  }
+  if (!Array.isArray(speakerIds) || speakerIds.some(id => !Number.isInteger(Number(id)))) {
+    return { error: 'speaker_ids must be an array of speaker IDs' };
+  }
+
+  return {
+    values: {
+      title: title,
+      description: input.description || null,
+      track: input.track ? String(input.track).trim() : null,
+      room: input.room ? String(input.room).trim() : null,
+      startsAt: startsAt,
+      endsAt: endsAt,
+      speakerIds: [...new Set(speakerIds.map(Number))]
+    }
+  };
+};
+
+// Active sessions of the event that overlap the slot and share its room or a speaker
+const findConflicts = async (db, eventId, values, sessionId = null) => {
+  const result = await db.query(`
+    SELECT s.id, s.title, s.room, s.starts_at, s.ends_at,
+      ($5::text IS NOT NULL AND LOWER(s.room) = LOWER($5)) AS room_conflict,
+      ARRAY(
+        SELECT ss.speaker_id FROM session_speakers ss
+        WHERE ss.session_id = s.id AND ss.speaker_id = ANY($6::int[])
+        ORDER BY ss.speaker_id
+      ) AS speaker_conflicts
+    FROM sessions s
+    WHERE s.event_id = $1 AND s.is_active = true
+    AND ($2::int IS NULL OR s.id <> $2)
+    AND s.starts_at < $4 AND s.ends_at > $3
+  `, [eventId, sessionId, values.startsAt, values.endsAt, values.room, values.speakerIds]);
+
+  return result.rows
+    .filter(row => row.room_conflict || row.speaker_conflicts.length > 0)
+    .map(row => ({
+      sessionId: row.id,
+      title: row.title,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      room: row.room_conflict ? row.room : null,
+      speakerIds: row.speaker_conflicts
+    }));
+};
+
+const getSession = async (db, sessionId) => {
+  const result = await db.query(`SELECT ${SESSION_COLUMNS} FROM sessions s WHERE s.id = $1 AND s.is_active = true`, [sessionId]);
+  return result.rows[0] || null;
+};
+
+// Create (sessionId omitted) or update a session. Rejects with
+// SESSION_ROOM_CONFLICT or SESSION_SPEAKER_CONFLICT, carrying the clashes in error.conflicts.
+const saveSession = async (pool, eventId, values, sessionId = null) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`agenda:${eventId}`]);
+
+    if (values.speakerIds.length > 0) {
+      const speakers = await client.query(
+        'SELECT id FROM speakers WHERE id = ANY($1::int[]) AND event_id = $2 AND is_active = true',
+        [values.speakerIds, eventId]
+      );
+      if (speakers.rows.length !== values.speakerIds.length) {
+        throw serviceError('Every speaker must be an active speaker of this event', 'SESSION_SPEAKER_INVALID', 400);
+      }
+    }
+
+    const conflicts = await findConflicts(client, eventId, values, sessionId);
+    if (conflicts.length > 0) {
+      const roomClash = conflicts.some(conflict => conflict.room);
+      const error = roomClash
+        ? serviceError(`Room ${values.room} is already booked for part of this slot`, 'SESSION_ROOM_CONFLICT', 409)
+        : serviceError('A speaker is already booked in an overlapping session', 'SESSION_SPEAKER_CONFLICT', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const params = [values.title, values.description, values.track, values.room, values.startsAt, values.endsAt, eventId];
+    const saved = sessionId
+      ? await client.query(`
+          UPDATE sessions
+          SET title = $1, description = $2, track = $3, room = $4, starts_at = $5, ends_at = $6,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $8 AND event_id = $7 AND is_active = true
+          RETURNING id
+        `, [...params, sessionId])
+      : await client.query(`
+          INSERT INTO sessions (title, description, track, room, starts_at, ends_at, event_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id
+        `, params);
+
+    if (saved.rows.length === 0) {
+      throw serviceError(`Session ${sessionId} not found`, 'SESSION_NOT_FOUND', 404);
+    }
+
+    const savedId = saved.rows[0].id;
+    await client.query('DELETE FROM session_speakers WHERE session_id = $1', [savedId]);
+    for (const [index, speakerId] of values.speakerIds.entries()) {
+      await client.query(
+        'INSERT INTO session_speakers (session_id, speaker_id, display_order) VALUES ($1, $2, $3)',
+        [savedId, speakerId, index]
+      );
+    }
+
+    await client.query('COMMIT');
+    return getSession(pool, savedId);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const getEventSessions = async (db, eventId) => {
+  const result = await db.query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM sessions s
+    WHERE s.event_id = $1 AND s.is_active = true
+    ORDER BY s.starts_at, s.track NULLS FIRST, s.id
+  `, [eventId]);
+  return result.rows;
+};
+
+// Sessions grouped by local day, then by track (sessions without a track come first)
+const getAgenda = async (db, eventId) => {
+  const result = await db.query(`
+    SELECT ${SESSION_COLUMNS}, TO_CHAR(s.starts_at AT TIME ZONE $2, 'YYYY-MM-DD') AS day
+    FROM sessions s
+    WHERE s.event_id = $1 AND s.is_active = true
+    ORDER BY s.starts_at, s.track NULLS FIRST, s.id
+  `, [eventId, getAgendaTimezone()]);
+
+  const days = [];
+  for (const { day, ...session } of result.rows) {
+    let agendaDay = days.find(entry => entry.date === day);
+    if (!agendaDay) {
+      agendaDay = { date: day, tracks: [] };
+      days.push(agendaDay);
+    }
+
+    let track = agendaDay.tracks.find(entry => entry.track === session.track);
+    if (!track) {
+      track = { track: session.track, sessions: [] };
+      agendaDay.tracks.push(track);
+    }
+    track.sessions.push(session);
+  }
+
+  days.forEach(agendaDay => agendaDay.tracks.sort((a, b) => {
+    if (a.track === null) return -1;
+    if (b.track === null) return 1;
+    return a.track.localeCompare(b.track);
+  }));
+
+  return days;
+};
+
+// iCalendar (RFC 5545) helpers; times are written in UTC so no VTIMEZONE is needed
+const escapeIcsText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded onto continuation lines
+const foldIcsLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    // Never split a multi-byte character
+    while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--;
+    chunks.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+    limit = 74;
+  }
+  chunks.push(rest.toString());
+  return chunks.join('\r\n ');
+};
+
+const buildIcs = (event, sessions) => {
+  const host = (process.env.APP_URL || 'http://rtalks.in').replace(/^https?:\/\//, '').replace(/[/:].*$/, '');
+  const stamp = formatIcsDate(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//R-Talks//Agenda//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(event.title)}`
+  ];
+
+  for (const session of sessions) {
+    const speakerNames = session.speakers.map(speaker => speaker.name).join(', ');
+    const description = [session.description, speakerNames && `Speakers: ${speakerNames}`].filter(Boolean).join('\n\n');
+    const location = [session.room, event.location].filter(Boolean).join(', ');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:session-${session.id}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(session.starts_at)}`,
+      `DTEND:${formatIcsDate(session.ends_at)}`,
+      `SUMMARY:${escapeIcsText(session.title)}`
+    );
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (session.track) lines.push(`CATEGORIES:${escapeIcsText(session.track)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseSessionInput,
+  findConflicts,
+  getSession,
+  saveSession,
+  getEventSessions,
+  getAgenda,
+  buildIcs
+};
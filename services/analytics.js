@@ -0,0 +1,239 @@
+// Sales analytics for the admin dashboard. Every report takes the same
+// filters (an inclusive from/to date range and an optional event) and returns
+// JSON a chart can plot directly. Sales are dated by paid_at and refunds by
+// when Razorpay processed them; orders paid and later refunded still count as
+// sales, with the refund reported separately.
+const { serviceError } = require('./errors');
+
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const MAX_RANGE_DAYS = 3 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && toDateString(new Date(value)) === value;
+};
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Parse ?from=&to=&event_id=&interval=; the range defaults to the last 30 days
+const parseAnalyticsFilters = (query) => {
+  const to = query.to || toDateString(new Date());
+  const from = query.from || (isValidDate(to) ? toDateString(new Date(Date.parse(to) - 29 * DAY_MS)) : to);
+  const interval = query.interval || 'day';
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw serviceError('from and to must be dates in YYYY-MM-DD format', 'ANALYTICS_FILTER_INVALID', 400);
+  }
+  if (from > to) {
+    throw serviceError('from must not be after to', 'ANALYTICS_FILTER_INVALID', 400);
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw serviceError('The date range can span at most 3 years', 'ANALYTICS_FILTER_INVALID', 400);
+  }
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    throw serviceError(`interval must be one of ${ANALYTICS_INTERVALS.join(', ')}`, 'ANALYTICS_FILTER_INVALID', 400);
+  }
+  if (query.event_id && !/^\d+$/.test(String(query.event_id))) {
+    throw serviceError('event_id must be an event ID', 'ANALYTICS_FILTER_INVALID', 400);
+  }
+
+  return {
+    from: from,
+    to: to,
+    eventId: query.event_id ? parseInt(query.event_id) : null,
+    interval: interval
+  };
+};
+
+// Totals for the range: paid orders, tickets, revenue, refunds and average order value
+const getSalesSummary = async (db, { from, to, eventId }) => {
+  const result = await db.query(`
+    SELECT sales.*, refunded.*
+    FROM (
+      SELECT COUNT(*) AS orders, COALESCE(SUM(quantity), 0) AS tickets, COALESCE(SUM(amount), 0) AS gross_revenue
+      FROM orders
+      WHERE paid_at >= $1::date AND paid_at < $2::date + 1 AND ($3::int IS NULL OR event_id = $3)
+    ) sales, (
+      SELECT COUNT(*) AS refunds, COALESCE(SUM(r.amount), 0) AS refunded_amount
+      FROM refunds r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.status = 'processed'
+      AND COALESCE(r.processed_at, r.updated_at) >= $1::date AND COALESCE(r.processed_at, r.updated_at) < $2::date + 1
+      AND ($3::int IS NULL OR o.event_id = $3)
+    ) refunded
+  `, [from, to, eventId]);
+
+  const row = result.rows[0];
+  const orders = parseInt(row.orders);
+  const grossRevenue = toAmount(row.gross_revenue);
+  const refundedAmount = toAmount(row.refunded_amount);
+
+  return {
+    from: from,
+    to: to,
+    eventId: eventId,
+    orders: orders,
+    tickets: parseInt(row.tickets),
+    grossRevenue: grossRevenue,
+    refundedAmount: refundedAmount,
+    netRevenue: toAmount(grossRevenue - refundedAmount),
+    averageOrderValue: orders > 0 ? toAmount(grossRevenue / orders) : 0,
+    refunds: parseInt(row.refunds)
+  };
+};
+
+// Sales and refunds per day or per week (weeks start on Monday). Every period
+// in the range is present, with zeros where nothing happened.
+const getSalesSeries = async (db, { from, to, eventId, interval }) => {
+  const result = await db.query(`
+    WITH periods AS (
+      SELECT generate_series(
+        date_trunc($4, $1::timestamp), date_trunc($4, $2::timestamp), ('1 ' || $4)::interval
+      )::date AS period
+    ),
+    sales AS (
+      SELECT date_trunc($4, paid_at)::date AS period, COUNT(*) AS orders, SUM(quantity) AS tickets, SUM(amount) AS revenue
+      FROM orders
+      WHERE paid_at >= $1::date AND paid_at < $2::date + 1 AND ($3::int IS NULL OR event_id = $3)
+      GROUP BY 1
+    ),
+    refunded AS (
+      SELECT date_trunc($4, COALESCE(r.processed_at, r.updated_at))::date AS period, SUM(r.amount) AS amount
+      FROM refunds r
+      JOIN orders o ON o.id = r.order_id
+      WHERE r.status = 'processed'
+      AND COALESCE(r.processed_at, r.updated_at) >= $1::date AND COALESCE(r.processed_at, r.updated_at) < $2::date + 1
+      AND ($3::int IS NULL OR o.event_id = $3)
+      GROUP BY 1
+    )
+    SELECT TO_CHAR(p.period, 'YYYY-MM-DD') AS period,
+      COALESCE(s.orders, 0) AS orders, COALESCE(s.tickets, 0) AS tickets,
+      COALESCE(s.revenue, 0) AS revenue, COALESCE(r.amount, 0) AS refunded
+    FROM periods p
+    LEFT JOIN sales s ON s.period = p.period
+    LEFT JOIN refunded r ON r.period = p.period
+    ORDER BY p.period
+  `, [from, to, eventId, interval]);
+
+  return {
+    from: from,
+    to: to,
+    eventId: eventId,
+    interval: interval,
+    series: result.rows.map(row => ({
+      period: row.period,
+      orders: parseInt(row.orders),
+      tickets: parseInt(row.tickets),
+      revenue: toAmount(row.revenue),
+      refunded: toAmount(row.refunded),
+      netRevenue: toAmount(parseFloat(row.revenue) - parseFloat(row.refunded))
+    }))
+  };
+};
+
+// Paid orders, tickets and revenue per package, highest revenue first
+const getPackageRevenue = async (db, { from, to, eventId }) => {
+  const result = await db.query(`
+    SELECT o.package_id,
+      (ARRAY_AGG(o.package_name ORDER BY o.id DESC))[1] AS package_name,
+      COUNT(*) AS orders,
+      SUM(o.quantity) AS tickets,
+      SUM(o.amount) AS revenue,
+      COALESCE(SUM(rf.amount), 0) AS refunded
+    FROM orders o
+    LEFT JOIN (
+      SELECT order_id, SUM(amount) AS amount FROM refunds WHERE status = 'processed' GROUP BY order_id
+    ) rf ON rf.order_id = o.id
+    WHERE o.paid_at >= $1::date AND o.paid_at < $2::date + 1 AND ($3::int IS NULL OR o.event_id = $3)
+    GROUP BY o.package_id
+    ORDER BY revenue DESC
+  `, [from, to, eventId]);
+
+  const totalRevenue = result.rows.reduce((sum, row) => sum + parseFloat(row.revenue), 0);
+
+  return {
+    from: from,
+    to: to,
+    eventId: eventId,
+    packages: result.rows.map(row => ({
+      packageId: row.package_id,
+      packageName: row.package_name,
+      orders: parseInt(row.orders),
+      tickets: parseInt(row.tickets),
+      revenue: toAmount(row.revenue),
+      refunded: toAmount(row.refunded),
+      netRevenue: toAmount(parseFloat(row.revenue) - parseFloat(row.refunded)),
+      revenueShare: totalRevenue > 0 ? Math.round(parseFloat(row.revenue) / totalRevenue * 10000) / 10000 : 0
+    }))
+  };
+};
+
+// Orders created in the range and how many of them were paid
+const getConversion = async (db, { from, to, eventId }) => {
+  const result = await db.query(`
+    SELECT status, COUNT(*) AS orders, COUNT(*) FILTER (WHERE paid_at IS NOT NULL) AS completed
+    FROM orders
+    WHERE created_at >= $1::date AND created_at < $2::date + 1 AND ($3::int IS NULL OR event_id = $3)
+    GROUP BY status
+  `, [from, to, eventId]);
+
+  const byStatus = { pending: 0, paid: 0, failed: 0, expired: 0, cancelled: 0, refunded: 0 };
+  let created = 0;
+  let completed = 0;
+  for (const row of result.rows) {
+    byStatus[row.status] = parseInt(row.orders);
+    created += parseInt(row.orders);
+    completed += parseInt(row.completed);
+  }
+
+  return {
+    from: from,
+    to: to,
+    eventId: eventId,
+    created: created,
+    completed: completed,
+    conversionRate: created > 0 ? Math.round(completed / created * 10000) / 10000 : 0,
+    byStatus: byStatus
+  };
+};
+
+// Refunds processed in the range and the share of revenue they make up, plus
+// the refunds requested in the range by status
+const getRefundTotals = async (db, { from, to, eventId }) => {
+  const refunds = await db.query(`
+    SELECT r.status, COUNT(*) AS refunds, SUM(r.amount) AS amount
+    FROM refunds r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.created_at >= $1::date AND r.created_at < $2::date + 1 AND ($3::int IS NULL OR o.event_id = $3)
+    GROUP BY r.status
+  `, [from, to, eventId]);
+  const summary = await getSalesSummary(db, { from, to, eventId });
+
+  const byStatus = { pending: { count: 0, amount: 0 }, processed: { count: 0, amount: 0 }, failed: { count: 0, amount: 0 } };
+  for (const row of refunds.rows) {
+    byStatus[row.status] = { count: parseInt(row.refunds), amount: toAmount(row.amount) };
+  }
+
+  return {
+    from: from,
+    to: to,
+    eventId: eventId,
+    refundedAmount: summary.refundedAmount,
+    refunds: summary.refunds,
+    refundRate: summary.grossRevenue > 0 ? Math.round(summary.refundedAmount / summary.grossRevenue * 10000) / 10000 : 0,
+    byStatus: byStatus
+  };
+};
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  parseAnalyticsFilters,
+  getSalesSummary,
+  getSalesSeries,
+  getPackageRevenue,
+  getConversion,
+  getRefundTotals
+};
@@ -0,0 +1,348 @@
+// Contact form inbox. Submissions move through new -> in_progress -> resolved,
+// can be assigned to an admin, and collect internal notes and emailed replies.
+// Spam is caught when it arrives (a filled-in honeypot field, or the same
+// message sent again from the same address) and filed under 'spam' without
+// alerting anyone. Deleting a submission only hides it.
+const { serviceError } = require('./errors');
+const { enqueueEmail } = require('./email');
+
+const CONTACT_STATUSES = ['new', 'in_progress', 'resolved', 'spam'];
+
+// Hidden form field that people leave empty and bots fill in
+const HONEYPOT_FIELD = 'website';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const invalidFilter = (message) => serviceError(message, 'CONTACT_FILTER_INVALID', 400);
+
+const getDuplicateWindowHours = () => {
+  const hours = parseInt(process.env.CONTACT_DUPLICATE_WINDOW_HOURS);
+  return Number.isNaN(hours) ? 24 : hours;
+};
+
+// Messages that only differ in case or spacing count as the same message
+const normalizeMessage = (message) => String(message || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Why a new submission is spam ('honeypot' or 'duplicate'), or null
+const detectSpam = async (db, submission, honeypotValue) => {
+  if (honeypotValue !== undefined && honeypotValue !== null && String(honeypotValue).trim() !== '') {
+    return 'honeypot';
+  }
+
+  const windowHours = getDuplicateWindowHours();
+  if (windowHours > 0) {
+    const duplicate = await db.query(`
+      SELECT 1 FROM contact_forms
+      WHERE LOWER(email) = LOWER($1)
+      AND LOWER(TRIM(REGEXP_REPLACE(message, '\\s+', ' ', 'g'))) = $2
+      AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $3)
+      LIMIT 1
+    `, [submission.email, normalizeMessage(submission.message), windowHours]);
+    if (duplicate.rows.length > 0) {
+      return 'duplicate';
+    }
+  }
+  return null;
+};
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+};
+
+// Parse the inbox query string:
+// ?status=new,in_progress&assigned_to=me|none|<admin id>&q=&from=&to=&page=1&page_size=50
+const parseContactQuery = (query) => {
+  const statuses = query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+  const unknownStatus = statuses.find(status => !CONTACT_STATUSES.includes(status));
+  if (unknownStatus) {
+    throw invalidFilter(`Unknown status: ${unknownStatus}`);
+  }
+
+  const assignedTo = query.assigned_to === undefined || query.assigned_to === '' ? null : String(query.assigned_to);
+  if (assignedTo !== null && !['me', 'none'].includes(assignedTo) && !/^\d+$/.test(assignedTo)) {
+    throw invalidFilter('assigned_to must be me, none or an admin ID');
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && !isValidDate(query[name])) {
+      throw invalidFilter(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page);
+  const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.page_size);
+  if (!Number.isInteger(page) || page < 1) {
+    throw invalidFilter('page must be 1 or more');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw invalidFilter(`page_size must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    filters: {
+      statuses: statuses,
+      assignedTo: assignedTo,
+      search: query.q ? String(query.q).trim() : '',
+      from: query.from || null,
+      to: query.to || null
+    },
+    page: page,
+    pageSize: pageSize
+  };
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+// WHERE clause and parameters for a set of filters. Deleted submissions never
+// match, and spam only does when asked for by status. assigned_to=me resolves
+// to adminId.
+const buildContactFilter = (filters, adminId) => {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.statuses.length > 0) {
+    conditions.push(`status = ANY(${add(filters.statuses)}::text[])`);
+  } else {
+    conditions.push(`status <> 'spam'`);
+  }
+  if (filters.assignedTo === 'none') {
+    conditions.push('assigned_admin_id IS NULL');
+  } else if (filters.assignedTo !== null) {
+    conditions.push(`assigned_admin_id = ${add(filters.assignedTo === 'me' ? adminId : parseInt(filters.assignedTo))}`);
+  }
+  if (filters.search) {
+    const pattern = add(`%${escapeLike(filters.search)}%`);
+    conditions.push(`(name ILIKE ${pattern} OR email ILIKE ${pattern} OR phone ILIKE ${pattern} OR message ILIKE ${pattern})`);
+  }
+  if (filters.from) {
+    conditions.push(`created_at >= ${add(filters.from)}::date`);
+  }
+  if (filters.to) {
+    conditions.push(`created_at < ${add(filters.to)}::date + 1`);
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params: params
+  };
+};
+
+const CONTACT_LIST_COLUMNS = `
+  c.id, c.name, c.phone, c.email, c.message, c.status, c.spam_reason, c.assigned_admin_id,
+  a.email AS assigned_admin_email, c.created_at, c.updated_at,
+  (SELECT COUNT(*)::int FROM contact_form_replies r WHERE r.contact_form_id = c.id) AS reply_count
+`;
+
+// One page of matching submissions, newest first, with the inbox counts per status
+const searchContactForms = async (db, parsed, adminId) => {
+  const { where, params } = buildContactFilter(parsed.filters, adminId);
+
+  const countResult = await db.query(`SELECT COUNT(*) AS total FROM contact_forms ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await db.query(`
+    SELECT ${CONTACT_LIST_COLUMNS}
+    FROM (SELECT * FROM contact_forms ${where}) c
+    LEFT JOIN admins a ON a.id = c.assigned_admin_id
+    ORDER BY c.created_at DESC, c.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, parsed.pageSize, (parsed.page - 1) * parsed.pageSize]);
+
+  const statusResult = await db.query(`
+    SELECT status, COUNT(*) AS count FROM contact_forms WHERE deleted_at IS NULL GROUP BY status
+  `);
+  const counts = {};
+  for (const status of CONTACT_STATUSES) {
+    const row = statusResult.rows.find(item => item.status === status);
+    counts[status] = row ? parseInt(row.count) : 0;
+  }
+
+  return {
+    contactForms: result.rows,
+    counts: counts,
+    pagination: {
+      page: parsed.page,
+      pageSize: parsed.pageSize,
+      total: total,
+      totalPages: Math.ceil(total / parsed.pageSize)
+    }
+  };
+};
+
+// A submission with its notes and replies, oldest first
+const getContactForm = async (db, id) => {
+  const result = await db.query(`
+    SELECT ${CONTACT_LIST_COLUMNS}
+    FROM contact_forms c
+    LEFT JOIN admins a ON a.id = c.assigned_admin_id
+    WHERE c.id = $1 AND c.deleted_at IS NULL
+  `, [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const notes = await db.query(`
+    SELECT n.id, n.note, n.admin_id, a.email AS admin_email, n.created_at
+    FROM contact_form_notes n
+    LEFT JOIN admins a ON a.id = n.admin_id
+    WHERE n.contact_form_id = $1
+    ORDER BY n.created_at, n.id
+  `, [id]);
+  const replies = await db.query(`
+    SELECT r.id, r.subject, r.message, r.admin_id, a.email AS admin_email, r.email_id,
+      e.status AS email_status, e.sent_at, r.created_at
+    FROM contact_form_replies r
+    LEFT JOIN admins a ON a.id = r.admin_id
+    LEFT JOIN email_outbox e ON e.id = r.email_id
+    WHERE r.contact_form_id = $1
+    ORDER BY r.created_at, r.id
+  `, [id]);
+
+  return { ...result.rows[0], notes: notes.rows, replies: replies.rows };
+};
+
+const notFound = (id) => serviceError(`Contact form ${id} not found`, 'CONTACT_FORM_NOT_FOUND', 404);
+
+// Change the status and/or assignee of a submission; assigned_admin_id null unassigns
+const updateContactForm = async (db, id, input) => {
+  const params = [id];
+  const assignments = [];
+
+  if (input.status !== undefined) {
+    if (!CONTACT_STATUSES.includes(input.status)) {
+      throw serviceError(`Status must be one of ${CONTACT_STATUSES.join(', ')}`, 'CONTACT_STATUS_INVALID', 400);
+    }
+    params.push(input.status);
+    assignments.push(`status = $${params.length}`);
+    // A submission marked as spam by hand, or rescued from spam, no longer has a detected reason
+    assignments.push('spam_reason = NULL');
+  }
+
+  if (input.assigned_admin_id !== undefined) {
+    const adminId = input.assigned_admin_id === null ? null : Number(input.assigned_admin_id);
+    if (adminId !== null) {
+      const admin = Number.isInteger(adminId)
+        ? await db.query('SELECT id FROM admins WHERE id = $1 AND is_active = true', [adminId])
+        : { rows: [] };
+      if (admin.rows.length === 0) {
+        throw serviceError('assigned_admin_id must be the ID of an active admin', 'CONTACT_ASSIGNEE_INVALID', 400);
+      }
+    }
+    params.push(adminId);
+    assignments.push(`assigned_admin_id = $${params.length}`);
+  }
+
+  if (assignments.length === 0) {
+    throw serviceError('Send a status or an assigned_admin_id', 'CONTACT_UPDATE_EMPTY', 400);
+  }
+
+  const result = await db.query(`
+    UPDATE contact_forms SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND deleted_at IS NULL
+    RETURNING id
+  `, params);
+  if (result.rows.length === 0) {
+    throw notFound(id);
+  }
+  return getContactForm(db, id);
+};
+
+const addContactNote = async (db, id, adminId, note) => {
+  const text = note ? String(note).trim() : '';
+  if (!text) {
+    throw serviceError('Note is required', 'CONTACT_NOTE_INVALID', 400);
+  }
+
+  const result = await db.query(`
+    INSERT INTO contact_form_notes (contact_form_id, admin_id, note)
+    SELECT id, $2, $3 FROM contact_forms WHERE id = $1 AND deleted_at IS NULL
+    RETURNING *
+  `, [id, adminId, text]);
+  if (result.rows.length === 0) {
+    throw notFound(id);
+  }
+  return result.rows[0];
+};
+
+// Email a reply to the sender through the outbox and log it. A new submission
+// moves to in_progress once it has been answered.
+const replyToContactForm = async (pool, id, adminId, input) => {
+  const message = input.message ? String(input.message).trim() : '';
+  const subject = input.subject ? String(input.subject).replace(/[\r\n]+/g, ' ').trim() : '';
+  if (!message) {
+    throw serviceError('Message is required', 'CONTACT_REPLY_INVALID', 400);
+  }
+  if (subject.length > 500) {
+    throw serviceError('Subject must be at most 500 characters', 'CONTACT_REPLY_INVALID', 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'SELECT * FROM contact_forms WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    const submission = result.rows[0];
+    if (!submission) {
+      throw notFound(id);
+    }
+
+    const emailId = await enqueueEmail(client, 'contact_reply', submission.email, {
+      submission_id: submission.id,
+      name: submission.name,
+      subject: subject || 'Re: your message',
+      reply: message,
+      original_message: submission.message
+    });
+    const reply = await client.query(`
+      INSERT INTO contact_form_replies (contact_form_id, admin_id, subject, message, email_id)
+      SELECT $1, $2, subject, $3, $4 FROM email_outbox WHERE id = $4
+      RETURNING *
+    `, [id, adminId, message, emailId]);
+    await client.query(`
+      UPDATE contact_forms
+      SET status = CASE WHEN status = 'new' THEN 'in_progress' ELSE status END, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+
+    await client.query('COMMIT');
+    return reply.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const deleteContactForm = async (db, id) => {
+  const result = await db.query(`
+    UPDATE contact_forms SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND deleted_at IS NULL
+    RETURNING id
+  `, [id]);
+  if (result.rows.length === 0) {
+    throw notFound(id);
+  }
+};
+
+module.exports = {
+  CONTACT_STATUSES,
+  HONEYPOT_FIELD,
+  detectSpam,
+  parseContactQuery,
+  buildContactFilter,
+  searchContactForms,
+  getContactForm,
+  updateContactForm,
+  addContactNote,
+  replyToContactForm,
+  deleteContactForm
+};
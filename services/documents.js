@@ -0,0 +1,225 @@
+// Printable documents for paid orders: a GST invoice and the attendee tickets.
+// Invoice numbers come from a single-row counter so they stay sequential with
+// no gaps, and buyers reach their documents through a signed per-order token.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getOrderTickets } = require('./tickets');
+
+const getSigningSecret = () => process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+const formatAmount = (amount) => `INR ${(toPaise(amount) / 100).toFixed(2)}`;
+
+const formatInvoiceNumber = (invoiceNumber) => {
+  const prefix = process.env.INVOICE_PREFIX || 'RT';
+  return `${prefix}-${String(invoiceNumber).padStart(6, '0')}`;
+};
+
+// Give a paid order the next invoice number; safe to call repeatedly
+const assignInvoiceNumber = async (db, orderId) => {
+  const result = await db.query(`
+    WITH next_number AS (
+      UPDATE invoice_counter
+      SET last_number = last_number + 1
+      WHERE id = 1 AND EXISTS (SELECT 1 FROM orders WHERE id = $1 AND invoice_number IS NULL)
+      RETURNING last_number
+    )
+    UPDATE orders
+    SET invoice_number = next_number.last_number, invoiced_at = CURRENT_TIMESTAMP
+    FROM next_number
+    WHERE orders.id = $1
+    RETURNING orders.invoice_number
+  `, [orderId]);
+
+  return result.rows[0] ? result.rows[0].invoice_number : null;
+};
+
+const signOrderId = (orderId) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`order-documents:${orderId}`)
+    .digest('base64url');
+};
+
+const createDocumentToken = (orderId) => signOrderId(orderId);
+
+const isValidDocumentToken = (orderId, token) => {
+  if (typeof token !== 'string' || !getSigningSecret()) {
+    return false;
+  }
+
+  const expected = Buffer.from(signOrderId(orderId));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Order, event and organiser details needed to render the documents
+const getOrderDocumentData = async (db, orderId) => {
+  const orderResult = await db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  const order = orderResult.rows[0];
+
+  if (!order) {
+    return null;
+  }
+
+  // The order's own event, or the featured one for orders that predate events
+  const eventResult = await db.query(
+    'SELECT * FROM events ORDER BY id = $1 DESC, is_featured DESC, date DESC LIMIT 1',
+    [order.event_id]
+  );
+  const contactResult = await db.query('SELECT * FROM contact_info WHERE section = $1', ['main']);
+
+  return {
+    order: order,
+    event: eventResult.rows[0] || { title: 'R-Talks Summit' },
+    contact: contactResult.rows[0] || {}
+  };
+};
+
+const formatEventDate = (event) => {
+  if (!event.date) {
+    return '';
+  }
+  const date = new Date(event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  return event.time ? `${date}, ${String(event.time).slice(0, 5)}` : date;
+};
+
+const formatAddress = (location) => {
+  if (!location || typeof location !== 'object') {
+    return [];
+  }
+  return [location.venue, location.building, location.address, location.city].filter(Boolean);
+};
+
+// Prices are GST-inclusive; the invoice shows the tax contained in the total
+const buildInvoicePdf = ({ order, event, contact }) => {
+  const gstRate = parseFloat(process.env.INVOICE_GST_RATE || '18');
+  const totalPaise = toPaise(order.amount);
+  const taxablePaise = Math.round(totalPaise / (1 + gstRate / 100));
+  const taxPaise = totalPaise - taxablePaise;
+  const quantity = order.quantity || 1;
+  const unitPrice = order.unit_price || order.package_price || order.amount;
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  doc.fontSize(20).text('TAX INVOICE', { align: 'right' });
+  doc.fontSize(10)
+    .text(`Invoice No: ${formatInvoiceNumber(order.invoice_number)}`, { align: 'right' })
+    .text(`Invoice Date: ${new Date(order.invoiced_at || order.paid_at).toLocaleDateString('en-IN')}`, { align: 'right' });
+
+  doc.moveDown();
+  doc.fontSize(12).text(process.env.INVOICE_SELLER_NAME || event.title);
+  doc.fontSize(10);
+  formatAddress(contact.location).forEach(line => doc.text(line));
+  if (contact.email) doc.text(contact.email);
+  if (process.env.INVOICE_GSTIN) doc.text(`GSTIN: ${process.env.INVOICE_GSTIN}`);
+
+  doc.moveDown();
+  doc.fontSize(12).text('Billed To');
+  doc.fontSize(10)
+    .text(order.customer_name)
+    .text(order.customer_email)
+    .text(order.customer_phone);
+
+  doc.moveDown();
+  doc.fontSize(12).text('Event');
+  doc.fontSize(10).text(event.title);
+  if (event.date) doc.text(formatEventDate(event));
+  if (event.location) doc.text(event.location);
+
+  doc.moveDown(1.5);
+  const top = doc.y;
+  doc.fontSize(10)
+    .text('Description', 50, top)
+    .text('Qty', 330, top, { width: 40, align: 'right' })
+    .text('Unit Price', 380, top, { width: 80, align: 'right' })
+    .text('Amount', 465, top, { width: 80, align: 'right' });
+  doc.moveTo(50, top + 15).lineTo(545, top + 15).stroke();
+
+  const row = top + 22;
+  doc
+    .text(order.package_name, 50, row, { width: 270 })
+    .text(String(quantity), 330, row, { width: 40, align: 'right' })
+    .text(formatAmount(unitPrice), 380, row, { width: 80, align: 'right' })
+    .text(formatAmount(toPaise(unitPrice) * quantity / 100), 465, row, { width: 80, align: 'right' });
+
+  const summaryLines = [];
+  if (toPaise(order.discount_amount) > 0) {
+    summaryLines.push([`Discount${order.promo_code ? ` (${order.promo_code})` : ''}`, `- ${formatAmount(order.discount_amount)}`]);
+  }
+  summaryLines.push(['Taxable Value', formatAmount(taxablePaise / 100)]);
+  if (process.env.INVOICE_GST_SPLIT === 'igst') {
+    summaryLines.push([`IGST @ ${gstRate}%`, formatAmount(taxPaise / 100)]);
+  } else {
+    const cgstPaise = Math.floor(taxPaise / 2);
+    summaryLines.push([`CGST @ ${gstRate / 2}%`, formatAmount(cgstPaise / 100)]);
+    summaryLines.push([`SGST @ ${gstRate / 2}%`, formatAmount((taxPaise - cgstPaise) / 100)]);
+  }
+  summaryLines.push(['Total (incl. GST)', formatAmount(order.amount)]);
+
+  let y = row + 30;
+  doc.moveTo(330, y - 8).lineTo(545, y - 8).stroke();
+  summaryLines.forEach(([label, value]) => {
+    doc.text(label, 330, y, { width: 130 }).text(value, 465, y, { width: 80, align: 'right' });
+    y += 16;
+  });
+
+  doc.moveDown(3);
+  doc.x = 50;
+  if (order.payment_id) {
+    doc.text(`Payment reference: ${order.payment_id}`);
+  }
+  doc.text(`Order #${order.id}`);
+  doc.moveDown();
+  doc.fontSize(8).text('This is a computer generated invoice and does not require a signature.', { align: 'center' });
+
+  doc.end();
+  return doc;
+};
+
+// One page per valid ticket, each with its QR code
+const buildTicketsPdf = async (db, { order, event }) => {
+  const tickets = (await getOrderTickets(db, order.id)).filter(ticket => ticket.status === 'valid');
+  if (tickets.length === 0) {
+    return null;
+  }
+
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+
+  for (const [index, ticket] of tickets.entries()) {
+    if (index > 0) doc.addPage();
+
+    const qr = await QRCode.toBuffer(ticket.code, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 300 });
+
+    doc.fontSize(18).text(event.title, { align: 'center' });
+    doc.fontSize(10);
+    if (event.date) doc.text(formatEventDate(event), { align: 'center' });
+    if (event.location) doc.text(event.location, { align: 'center' });
+
+    doc.moveDown();
+    doc.image(qr, (doc.page.width - 200) / 2, doc.y, { width: 200 });
+    doc.y += 210;
+
+    doc.fontSize(14).text(ticket.attendee_name, { align: 'center' });
+    doc.fontSize(10)
+      .text(order.package_name, { align: 'center' })
+      .text(`Ticket ${index + 1} of ${tickets.length} - Order #${order.id}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(8).text(ticket.code, { align: 'center' });
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  formatInvoiceNumber,
+  assignInvoiceNumber,
+  createDocumentToken,
+  isValidDocumentToken,
+  getOrderDocumentData,
+  buildInvoicePdf,
+  buildTicketsPdf
+};
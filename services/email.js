@@ -0,0 +1,349 @@
+// Transactional email. Messages are rendered from editable templates and
+// written to the email_outbox table on the connection the caller passes in.
+// Callers pass the transaction client of the change that triggered them, so a
+// rolled-back change queues nothing; an order's confirmation commits with its
+// payment (see transitionOrder). processOutbox delivers them and retries failures.
+const { createDocumentToken, getOrderDocumentData, formatInvoiceNumber, buildInvoicePdf, buildTicketsPdf } = require('./documents');
+const { hasPermission } = require('./permissions');
+
+// Defaults for every template; admins can override them in email_templates
+const DEFAULT_EMAIL_TEMPLATES = {
+  order_confirmation: {
+    subject: 'Your tickets for {{event_title}} (order #{{order_id}})',
+    body_text: [
+      'Hi {{customer_name}},',
+      '',
+      'Thank you for your order. Your payment has been received.',
+      '',
+      'Event: {{event_title}}',
+      'When: {{event_date}}',
+      'Where: {{event_location}}',
+      'Package: {{package_name}} x {{quantity}}',
+      'Amount paid: INR {{amount}}',
+      'Invoice: {{invoice_number}}',
+      '',
+      'Your tickets are attached. You can also download them at {{tickets_url}}',
+      'and your invoice at {{invoice_url}}.',
+      '',
+      'See you there!'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{customer_name}},</p>',
+      '<p>Thank you for your order. Your payment has been received.</p>',
+      '<p><strong>Event:</strong> {{event_title}}<br>',
+      '<strong>When:</strong> {{event_date}}<br>',
+      '<strong>Where:</strong> {{event_location}}<br>',
+      '<strong>Package:</strong> {{package_name}} x {{quantity}}<br>',
+      '<strong>Amount paid:</strong> INR {{amount}}<br>',
+      '<strong>Invoice:</strong> {{invoice_number}}</p>',
+      '<p>Your tickets are attached. You can also <a href="{{tickets_url}}">download your tickets</a> and <a href="{{invoice_url}}">your invoice</a>.</p>',
+      '<p>See you there!</p>'
+    ].join('\n')
+  },
+  contact_acknowledgement: {
+    subject: 'We received your message',
+    body_text: [
+      'Hi {{name}},',
+      '',
+      'Thanks for getting in touch. We have received your message and will get back to you soon.',
+      '',
+      'Your message:',
+      '{{message}}'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Thanks for getting in touch. We have received your message and will get back to you soon.</p>',
+      '<p><strong>Your message:</strong></p>',
+      '<blockquote>{{message}}</blockquote>'
+    ].join('\n')
+  },
+  contact_admin_alert: {
+    subject: 'New contact form submission from {{name}}',
+    body_text: [
+      'A new contact form was submitted (#{{submission_id}}).',
+      '',
+      'Name: {{name}}',
+      'Email: {{email}}',
+      'Phone: {{phone}}',
+      '',
+      '{{message}}'
+    ].join('\n'),
+    body_html: [
+      '<p>A new contact form was submitted (#{{submission_id}}).</p>',
+      '<p><strong>Name:</strong> {{name}}<br>',
+      '<strong>Email:</strong> {{email}}<br>',
+      '<strong>Phone:</strong> {{phone}}</p>',
+      '<blockquote>{{message}}</blockquote>'
+    ].join('\n')
+  },
+  contact_reply: {
+    subject: '{{subject}}',
+    body_text: [
+      'Hi {{name}},',
+      '',
+      '{{reply}}',
+      '',
+      'Your original message:',
+      '{{original_message}}'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{name}},</p>',
+      '<p style="white-space: pre-line">{{reply}}</p>',
+      '<p><strong>Your original message:</strong></p>',
+      '<blockquote>{{original_message}}</blockquote>'
+    ].join('\n')
+  },
+  admin_invite: {
+    subject: 'You have been invited to the admin panel',
+    body_text: [
+      'Hi {{name}},',
+      '',
+      '{{invited_by}} has invited you to the admin panel as {{role}}.',
+      '',
+      'Choose your password here: {{invite_url}}',
+      '',
+      'This link expires in {{expires_in_hours}} hours.'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{name}},</p>',
+      '<p>{{invited_by}} has invited you to the admin panel as {{role}}.</p>',
+      '<p><a href="{{invite_url}}">Choose your password</a></p>',
+      '<p>This link expires in {{expires_in_hours}} hours.</p>'
+    ].join('\n')
+  },
+  admin_password_reset: {
+    subject: 'Reset your admin password',
+    body_text: [
+      'Hi {{name}},',
+      '',
+      'Someone asked to reset the password of your admin account.',
+      '',
+      'Choose a new password here: {{reset_url}}',
+      '',
+      'This link expires in {{expires_in_minutes}} minutes. If you did not ask for it, you can ignore this email.'
+    ].join('\n'),
+    body_html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Someone asked to reset the password of your admin account.</p>',
+      '<p><a href="{{reset_url}}">Choose a new password</a></p>',
+      '<p>This link expires in {{expires_in_minutes}} minutes. If you did not ask for it, you can ignore this email.</p>'
+    ].join('\n')
+  }
+};
+
+const ATTACHMENT_TYPES = ['tickets', 'invoice'];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Replace {{name}} placeholders; unknown names render as empty strings
+const fillPlaceholders = (template, variables, escape) => {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name] === undefined || variables[name] === null ? '' : variables[name];
+    return escape ? escapeHtml(value) : String(value);
+  });
+};
+
+const renderTemplate = (template, variables = {}) => ({
+  subject: fillPlaceholders(template.subject, variables, false).replace(/[\r\n]+/g, ' '),
+  text: fillPlaceholders(template.body_text, variables, false),
+  html: template.body_html ? fillPlaceholders(template.body_html, variables, true) : null
+});
+
+const getEmailTemplate = async (db, templateKey) => {
+  const result = await db.query('SELECT * FROM email_templates WHERE template_key = $1', [templateKey]);
+  return result.rows[0] || DEFAULT_EMAIL_TEMPLATES[templateKey] || null;
+};
+
+// Render a template and add the message to the outbox
+const enqueueEmail = async (db, templateKey, to, variables, { orderId = null, attachments = [] } = {}) => {
+  const template = await getEmailTemplate(db, templateKey);
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateKey}`);
+  }
+
+  const message = renderTemplate(template, variables);
+  const result = await db.query(`
+    INSERT INTO email_outbox (template_key, to_email, subject, body_text, body_html, order_id, attachments)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [templateKey, to, message.subject, message.text, message.html, orderId, JSON.stringify(attachments)]);
+
+  return result.rows[0].id;
+};
+
+const documentUrl = (orderId, document) => {
+  const baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl}/api/orders/${orderId}/${document}?token=${createDocumentToken(orderId)}`;
+};
+
+const formatEventDate = (event) => {
+  if (!event.date) {
+    return 'To be announced';
+  }
+  const date = new Date(event.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  return event.time ? `${date}, ${String(event.time).slice(0, 5)}` : date;
+};
+
+// Confirmation with tickets and invoice attached, sent once an order is paid
+const queueOrderConfirmation = async (db, orderId) => {
+  const documentData = await getOrderDocumentData(db, orderId);
+  if (!documentData) {
+    return null;
+  }
+
+  const { order, event } = documentData;
+  return enqueueEmail(db, 'order_confirmation', order.customer_email, {
+    customer_name: order.customer_name,
+    order_id: order.id,
+    event_title: event.title,
+    event_date: formatEventDate(event),
+    event_location: event.location || '',
+    package_name: order.package_name,
+    quantity: order.quantity || 1,
+    amount: parseFloat(order.amount).toFixed(2),
+    invoice_number: order.invoice_number ? formatInvoiceNumber(order.invoice_number) : '',
+    tickets_url: documentUrl(order.id, 'tickets'),
+    invoice_url: documentUrl(order.id, 'invoice')
+  }, { orderId: order.id, attachments: ['tickets', 'invoice'] });
+};
+
+// Admins alerted about new contact forms: ADMIN_NOTIFICATION_EMAILS, or every
+// active admin who can see the contact inbox
+const getAdminRecipients = async (db) => {
+  if (process.env.ADMIN_NOTIFICATION_EMAILS) {
+    return process.env.ADMIN_NOTIFICATION_EMAILS.split(',').map(email => email.trim()).filter(Boolean);
+  }
+  const result = await db.query('SELECT email, role FROM admins WHERE is_active = true AND password_hash IS NOT NULL ORDER BY id');
+  return result.rows.filter(row => hasPermission(row.role, 'contact_forms')).map(row => row.email);
+};
+
+// Acknowledge a contact form to the sender and alert the admins
+const queueContactEmails = async (db, submission) => {
+  const variables = {
+    submission_id: submission.id,
+    name: submission.name,
+    email: submission.email,
+    phone: submission.phone,
+    message: submission.message
+  };
+
+  await enqueueEmail(db, 'contact_acknowledgement', submission.email, variables);
+  for (const recipient of await getAdminRecipients(db)) {
+    await enqueueEmail(db, 'contact_admin_alert', recipient, variables);
+  }
+};
+
+const pdfToBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+});
+
+// Documents are rendered at send time so they reflect the order as it is then
+const buildAttachments = async (db, email) => {
+  const requested = (email.attachments || []).filter(type => ATTACHMENT_TYPES.includes(type));
+  if (!email.order_id || requested.length === 0) {
+    return [];
+  }
+
+  const documentData = await getOrderDocumentData(db, email.order_id);
+  if (!documentData) {
+    return [];
+  }
+
+  const attachments = [];
+  if (requested.includes('tickets')) {
+    const ticketsPdf = await buildTicketsPdf(db, documentData);
+    if (ticketsPdf) {
+      attachments.push({ filename: `tickets-order-${email.order_id}.pdf`, content: await pdfToBuffer(ticketsPdf) });
+    }
+  }
+  if (requested.includes('invoice') && documentData.order.invoice_number) {
+    attachments.push({
+      filename: `invoice-${formatInvoiceNumber(documentData.order.invoice_number)}.pdf`,
+      content: await pdfToBuffer(buildInvoicePdf(documentData))
+    });
+  }
+  return attachments;
+};
+
+// Minutes to wait before retrying after the given number of failed attempts
+const retryDelayMinutes = (attempts) => Math.min(2 ** attempts, 60);
+
+// Deliver due messages. Rows are claimed with SKIP LOCKED and a lease, so
+// several workers can run at once and a crash mid-send is retried later.
+const processOutbox = async (db, transport, { batchSize = 20, maxAttempts = 5, leaseMinutes = 5 } = {}) => {
+  const claimed = await db.query(`
+    UPDATE email_outbox
+    SET status = 'sending',
+        attempts = attempts + 1,
+        next_attempt_at = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval
+    WHERE id IN (
+      SELECT id FROM email_outbox
+      WHERE status IN ('pending', 'sending') AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at, id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [batchSize, String(leaseMinutes)]);
+
+  const summary = { sent: 0, failed: 0 };
+
+  for (const email of claimed.rows) {
+    try {
+      await transport.send({
+        from: process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@rtalks.in',
+        to: email.to_email,
+        subject: email.subject,
+        text: email.body_text,
+        html: email.body_html || undefined,
+        attachments: await buildAttachments(db, email)
+      });
+
+      await db.query(
+        "UPDATE email_outbox SET status = 'sent', sent_at = CURRENT_TIMESTAMP, next_attempt_at = NULL, last_error = NULL WHERE id = $1",
+        [email.id]
+      );
+      summary.sent++;
+    } catch (error) {
+      const giveUp = email.attempts >= maxAttempts;
+      await db.query(`
+        UPDATE email_outbox
+        SET status = $2, last_error = $3, next_attempt_at = CURRENT_TIMESTAMP + ($4 || ' minutes')::interval
+        WHERE id = $1
+      `, [email.id, giveUp ? 'failed' : 'pending', error.message, String(retryDelayMinutes(email.attempts))]);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+// Put a failed message back in the queue with a fresh set of attempts
+const retryEmail = async (db, emailId) => {
+  const result = await db.query(`
+    UPDATE email_outbox
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'failed'
+    RETURNING *
+  `, [emailId]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES,
+  renderTemplate,
+  getEmailTemplate,
+  enqueueEmail,
+  queueOrderConfirmation,
+  queueContactEmails,
+  processOutbox,
+  retryEmail
+};
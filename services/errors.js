@@ -0,0 +1,10 @@
+// Errors raised by services carry an API error code and HTTP status so route
+// handlers can answer with them directly, the same way they inspect pg errors
+const serviceError = (message, code, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = { serviceError };
@@ -0,0 +1,59 @@
+// Events. Packages, speakers, content, stats and orders each belong to an
+// event; the featured event answers the original single-event endpoints.
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 100);
+
+const isValidSlug = (slug) => typeof slug === 'string' && slug.length <= 100 && SLUG_PATTERN.test(slug);
+
+// The event flagged as featured, or the most recent active event when none is
+const getFeaturedEvent = async (db) => {
+  const result = await db.query(
+    'SELECT * FROM events WHERE is_active = true ORDER BY is_featured DESC, date DESC, id DESC LIMIT 1'
+  );
+  return result.rows[0] || null;
+};
+
+const getEventBySlug = async (db, slug) => {
+  const result = await db.query('SELECT * FROM events WHERE slug = $1 AND is_active = true', [slug]);
+  return result.rows[0] || null;
+};
+
+// Make the given event the featured one; the partial unique index allows only one
+const setFeaturedEvent = async (pool, eventId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE events SET is_featured = false WHERE is_featured = true AND id <> $1', [eventId]);
+    const result = await client.query(
+      'UPDATE events SET is_featured = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND is_active = true RETURNING *',
+      [eventId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  slugify,
+  isValidSlug,
+  getFeaturedEvent,
+  getEventBySlug,
+  setFeaturedEvent
+};
@@ -0,0 +1,166 @@
+// Streamed CSV and XLSX exports. Rows are read through a Postgres cursor a
+// batch at a time and written straight to the response, so an export never
+// holds the whole result set in memory.
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const { serviceError } = require('./errors');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Read ?format= and ?columns=a,b,c against the available column definitions
+// ({ key: { header, sql, type } }); every column is exported by default
+const parseExportOptions = (query, availableColumns) => {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw serviceError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, 'EXPORT_FORMAT_INVALID', 400);
+  }
+
+  const keys = query.columns
+    ? [...new Set(String(query.columns).split(',').map(key => key.trim()).filter(Boolean))]
+    : Object.keys(availableColumns);
+  const unknown = keys.find(key => !availableColumns[key]);
+  if (unknown || keys.length === 0) {
+    throw serviceError(
+      `columns must be chosen from ${Object.keys(availableColumns).join(', ')}`,
+      'EXPORT_COLUMN_INVALID',
+      400
+    );
+  }
+
+  return {
+    format: format,
+    columns: keys.map(key => ({ key: key, ...availableColumns[key] }))
+  };
+};
+
+// SELECT list for the chosen columns, aliased to their keys
+const buildExportSelect = (columns) => columns.map(column => `${column.sql} AS "${column.key}"`).join(', ');
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+// Phone numbers such as +91 98765-43210 cannot call a function, so they are left as they are
+const PHONE_PATTERN = /^\+?[\d\s-]+$/;
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from running text such as =HYPERLINK(...) as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !NUMBER_PATTERN.test(text) && !PHONE_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toXlsxValue = (value, column) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (column.type === 'number' && NUMBER_PATTERN.test(String(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+// Resolves once the response can take more data, or the client has gone
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const createCsvWriter = (res, columns) => {
+  // The byte order mark makes Excel read the file as UTF-8
+  res.write('\uFEFF' + columns.map(column => toCsvValue(column.header)).join(',') + '\r\n');
+
+  return {
+    writeRows: async (rows) => {
+      const chunk = rows
+        .map(row => columns.map(column => toCsvValue(row[column.key])).join(',') + '\r\n')
+        .join('');
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+const createXlsxWriter = (res, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 20 }));
+
+  return {
+    writeRows: async (rows) => {
+      for (const row of rows) {
+        const values = {};
+        for (const column of columns) {
+          values[column.key] = toXlsxValue(row[column.key], column);
+        }
+        sheet.addRow(values).commit();
+      }
+      // Let the zip stream hand the batch to the response, then wait if it is full
+      await new Promise(resolve => setImmediate(resolve));
+      if (res.writableNeedDrain) {
+        await waitForDrain(res);
+      }
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Run the query and stream its rows to the response as CSV or XLSX. Query
+// errors before the first batch reject as usual; later ones end the response.
+const streamExport = async (pool, res, { sql, params = [], columns, format, filename, sheetName = 'Export' }) => {
+  const client = await pool.connect();
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  try {
+    const cursor = client.query(new Cursor(sql, params));
+    let rows = await cursor.read(BATCH_SIZE);
+
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    const writer = format === 'xlsx' ? createXlsxWriter(res, columns, sheetName) : createCsvWriter(res, columns);
+
+    try {
+      while (rows.length > 0 && !clientGone) {
+        await writer.writeRows(rows);
+        rows = rows.length === BATCH_SIZE ? await cursor.read(BATCH_SIZE) : [];
+      }
+      await cursor.close();
+      await writer.end();
+    } catch (error) {
+      console.error(`Export ${filename} failed:`, error);
+      res.destroy(error);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportOptions,
+  buildExportSelect,
+  streamExport
+};
@@ -0,0 +1,414 @@
+// Bulk import of speakers and packages from CSV or JSON. Rows are matched to
+// the event's existing speakers or packages by name, ignoring case: a match is
+// updated (and listed again if it had been deleted), anything else is created.
+// Every row is validated before anything is written; a dry run stops there and
+// reports what would happen to each row, otherwise all rows are written in one
+// transaction, or none are when any row is invalid.
+const { serviceError } = require('./errors');
+const { parsePriceTiers } = require('./pricing');
+
+const MAX_IMPORT_ROWS = 1000;
+
+const fileError = (message) => serviceError(message, 'IMPORT_FILE_INVALID', 400);
+
+// Field parsers return { value } or { error }; an empty value clears the field
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const textField = (maxLength) => (value) => {
+  if (isEmpty(value)) return { value: null };
+  if (typeof value === 'object') return { error: 'must be text' };
+  const text = String(value).trim();
+  if (text.length > maxLength) return { error: `must be at most ${maxLength} characters` };
+  return { value: text || null };
+};
+
+const urlField = (maxLength) => (value) => {
+  const parsed = textField(maxLength)(value);
+  if (parsed.value && !/^(https?:\/\/|\/)\S+$/i.test(parsed.value)) {
+    return { error: 'must be a URL starting with http://, https:// or /' };
+  }
+  return parsed;
+};
+
+const isNumeric = (value) => typeof value === 'number' || typeof value === 'string';
+
+const wholeNumberField = (value) => {
+  if (isEmpty(value)) return { value: null };
+  if (!isNumeric(value)) return { error: 'must be a whole number of 0 or more' };
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? { value: number } : { error: 'must be a whole number of 0 or more' };
+};
+
+const amountField = (value) => {
+  if (isEmpty(value)) return { value: null };
+  if (!isNumeric(value)) return { error: 'must be an amount of 0 or more' };
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? { value: Math.round(amount * 100) / 100 } : { error: 'must be an amount of 0 or more' };
+};
+
+// A JSON array, or in a CSV cell either JSON or items separated by |
+const featuresField = (value) => {
+  if (isEmpty(value)) return { value: [] };
+  let features = value;
+  if (typeof value === 'string') {
+    try {
+      features = value.trim().startsWith('[') ? JSON.parse(value) : value.split('|');
+    } catch (error) {
+      return { error: 'must be a JSON array or items separated by |' };
+    }
+  }
+  if (!Array.isArray(features) || features.some(feature => typeof feature !== 'string')) {
+    return { error: 'must be a list of text items' };
+  }
+  return { value: features.map(feature => feature.trim()).filter(Boolean) };
+};
+
+// A JSON array of { min_quantity, unit_price }, as a JSON string in a CSV cell
+const priceTiersField = (value) => {
+  let input = value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    try {
+      input = JSON.parse(value);
+    } catch (error) {
+      return { error: 'must be a JSON array of { min_quantity, unit_price }' };
+    }
+  }
+  const { tiers, error } = parsePriceTiers(input);
+  return error ? { error: `are invalid: ${error}` } : { value: tiers };
+};
+
+// Importable columns per type; required ones must be set when a row is created
+// and cannot be cleared by an update
+const IMPORT_TYPES = {
+  speakers: {
+    table: 'speakers',
+    label: 'speaker',
+    fields: {
+      name: { parse: textField(255), required: true },
+      title: { parse: textField(255) },
+      company: { parse: textField(255) },
+      bio: { parse: textField(10000) },
+      image_url: { parse: urlField(500) },
+      display_order: { parse: wholeNumberField }
+    }
+  },
+  packages: {
+    table: 'event_packages',
+    label: 'package',
+    fields: {
+      name: { parse: textField(255), required: true },
+      category: { parse: textField(255) },
+      price: { parse: amountField, required: true },
+      package_type: { parse: textField(50), required: true },
+      features: { parse: featuresField, json: true },
+      capacity: { parse: wholeNumberField },
+      price_tiers: { parse: priceTiersField, json: true },
+      display_order: { parse: wholeNumberField }
+    }
+  }
+};
+
+const hasField = (definition, field) => Object.prototype.hasOwnProperty.call(definition.fields, field);
+
+const getImportType = (type) => {
+  if (!Object.prototype.hasOwnProperty.call(IMPORT_TYPES, type)) {
+    throw serviceError(`Import type must be one of ${Object.keys(IMPORT_TYPES).join(', ')}`, 'IMPORT_TYPE_INVALID', 404);
+  }
+  return IMPORT_TYPES[type];
+};
+
+// RFC 4180 CSV: fields may be quoted to hold commas, line breaks and doubled
+// quotes. Returns the records as arrays of strings, without blank lines.
+const parseCsvRecords = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const character = input[i];
+    if (quoted) {
+      if (character === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"' && field === '') {
+      quoted = true;
+    } else if (character === ',') {
+      record.push(field);
+      field = '';
+    } else if (character === '\r' || character === '\n') {
+      if (character === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+
+  if (quoted) {
+    throw fileError('The CSV ends inside a quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(values => values.some(value => value.trim() !== ''));
+};
+
+// Turn CSV text into row objects keyed by the header row. Only the columns in
+// the file are set, so the others keep their current values on update.
+const parseCsvRows = (text, definition) => {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) {
+    throw fileError('The CSV is empty');
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const unknown = columns.find(column => !hasField(definition, column));
+  if (unknown !== undefined) {
+    throw serviceError(
+      `Unknown column "${unknown}"; columns must be chosen from ${Object.keys(definition.fields).join(', ')}`,
+      'IMPORT_COLUMN_INVALID',
+      400
+    );
+  }
+  if (new Set(columns).size !== columns.length) {
+    throw serviceError('Every column may appear only once', 'IMPORT_COLUMN_INVALID', 400);
+  }
+  if (!columns.includes('name')) {
+    throw serviceError('The CSV needs a name column', 'IMPORT_COLUMN_INVALID', 400);
+  }
+
+  return records.map(values => {
+    if (values.length > columns.length) {
+      return { __error: `has ${values.length} values but the header has ${columns.length} columns` };
+    }
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = values[index] === undefined ? '' : values[index].trim();
+    });
+    return row;
+  });
+};
+
+// The rows of an import request: CSV text, a JSON array, or { rows: [...] }
+const parseImportPayload = (body, type) => {
+  const definition = getImportType(type);
+  let rows;
+
+  if (typeof body === 'string') {
+    rows = parseCsvRows(body, definition);
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (body && Array.isArray(body.rows)) {
+    rows = body.rows;
+  } else {
+    throw fileError('Send CSV with Content-Type text/csv, or a JSON array of rows');
+  }
+
+  if (rows.length === 0) {
+    throw fileError('There are no rows to import');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw fileError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+  return rows;
+};
+
+// Validate one row; returns the parsed values of the fields it sets and the errors
+const parseRow = (row, definition) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { values: {}, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+  if (row.__error) {
+    return { values: {}, errors: [{ field: null, message: `Row ${row.__error}` }] };
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [field, input] of Object.entries(row)) {
+    if (!hasField(definition, field)) {
+      errors.push({ field: field, message: `Unknown field ${field}` });
+      continue;
+    }
+    const parsed = definition.fields[field].parse(input);
+    if (parsed.error) {
+      errors.push({ field: field, message: `${field} ${parsed.error}` });
+    } else {
+      values[field] = parsed.value;
+    }
+  }
+  return { values, errors };
+};
+
+// Validate every row and match it to an existing row of the event
+const planImport = async (db, definition, eventId, rows) => {
+  const plan = rows.map((row, index) => ({ row: index + 1, ...parseRow(row, definition) }));
+
+  const keys = [...new Set(plan.filter(item => item.values.name).map(item => item.values.name.toLowerCase()))];
+  // Prefer the listed row when a name also matches deleted ones
+  const existingResult = await db.query(`
+    SELECT DISTINCT ON (LOWER(name)) id, LOWER(name) AS key
+    FROM ${definition.table}
+    WHERE event_id = $1 AND LOWER(name) = ANY($2::text[])
+    ORDER BY LOWER(name), is_active DESC, id DESC
+  `, [eventId, keys]);
+  const existing = new Map(existingResult.rows.map(row => [row.key, row.id]));
+
+  const firstRowByKey = new Map();
+  for (const item of plan) {
+    const name = item.values.name;
+    if (!name) {
+      if (!item.errors.some(error => error.field === 'name' || error.field === null)) {
+        item.errors.push({ field: 'name', message: 'name is required' });
+      }
+      continue;
+    }
+
+    const key = name.toLowerCase();
+    if (firstRowByKey.has(key)) {
+      item.errors.push({ field: 'name', message: `name is already used by row ${firstRowByKey.get(key)}` });
+      continue;
+    }
+    firstRowByKey.set(key, item.row);
+
+    item.id = existing.get(key) || null;
+    item.action = item.id ? 'update' : 'create';
+    // A new row needs every required field; an update may leave one out but not empty it
+    for (const [field, spec] of Object.entries(definition.fields)) {
+      if (!spec.required || item.errors.some(error => error.field === field)) {
+        continue;
+      }
+      if (item.action === 'create' && (item.values[field] === undefined || item.values[field] === null)) {
+        item.errors.push({ field: field, message: `${field} is required for a new ${definition.label}` });
+      } else if (item.action === 'update' && item.values[field] === null) {
+        item.errors.push({ field: field, message: `${field} cannot be cleared` });
+      }
+    }
+  }
+
+  for (const item of plan) {
+    if (item.errors.length > 0) {
+      item.action = 'invalid';
+      item.id = null;
+    }
+  }
+  return plan;
+};
+
+const toParam = (definition, field, value) => {
+  return definition.fields[field].json && value !== null ? JSON.stringify(value) : value;
+};
+
+const writeRow = async (client, definition, eventId, item, nextOrder) => {
+  const fields = Object.keys(item.values);
+  const params = fields.map(field => toParam(definition, field, item.values[field]));
+
+  if (item.action === 'update') {
+    // A name that only differs in case is updated to the spelling in the file
+    const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+    const result = await client.query(`
+      UPDATE ${definition.table}
+      SET ${assignments.join(', ')}, is_active = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${params.length + 1}
+      RETURNING id
+    `, [...params, item.id]);
+    return result.rows[0].id;
+  }
+
+  if (!fields.includes('display_order')) {
+    fields.push('display_order');
+    params.push(nextOrder());
+  }
+  fields.push('event_id');
+  params.push(eventId);
+  const result = await client.query(`
+    INSERT INTO ${definition.table} (${fields.join(', ')})
+    VALUES (${params.map((param, index) => `$${index + 1}`).join(', ')})
+    RETURNING id
+  `, params);
+  return result.rows[0].id;
+};
+
+const buildReport = (type, dryRun, plan) => {
+  const count = (action) => plan.filter(item => item.action === action).length;
+  return {
+    type: type,
+    dryRun: dryRun,
+    valid: count('invalid') === 0,
+    summary: {
+      total: plan.length,
+      create: count('create'),
+      update: count('update'),
+      invalid: count('invalid')
+    },
+    rows: plan.map(item => ({
+      row: item.row,
+      name: item.values.name || null,
+      action: item.action,
+      id: item.id,
+      errors: item.errors
+    }))
+  };
+};
+
+// Import rows of a type into an event. Returns the per-row report; throws
+// IMPORT_ROWS_INVALID, with the report attached, when a real import has
+// invalid rows, in which case nothing is written.
+const runImport = async (pool, type, eventId, rows, { dryRun = false } = {}) => {
+  const definition = getImportType(type);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // One import per type and event at a time, so two runs cannot both create the same row
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`import:${type}:${eventId}`]);
+
+    const plan = await planImport(client, definition, eventId, rows);
+    const report = buildReport(type, dryRun, plan);
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return report;
+    }
+    if (!report.valid) {
+      const error = serviceError(`${report.summary.invalid} of ${report.summary.total} rows are invalid; nothing was imported`, 'IMPORT_ROWS_INVALID', 400);
+      error.report = report;
+      throw error;
+    }
+
+    const orderResult = await client.query(
+      `SELECT COALESCE(MAX(display_order), 0) AS last_order FROM ${definition.table} WHERE event_id = $1`,
+      [eventId]
+    );
+    let lastOrder = orderResult.rows[0].last_order;
+    const nextOrder = () => ++lastOrder;
+
+    for (const item of plan) {
+      item.id = await writeRow(client, definition, eventId, item, nextOrder);
+    }
+
+    await client.query('COMMIT');
+    return buildReport(type, dryRun, plan);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  IMPORT_TYPES,
+  MAX_IMPORT_ROWS,
+  parseCsvRecords,
+  parseImportPayload,
+  runImport
+};
@@ -0,0 +1,196 @@
+// Brute-force protection for admin sign-in. Failed attempts are counted per
+// email and per IP address in Postgres, so they survive restarts. Close to the
+// limit each further attempt has to wait (2, then 4 seconds, and so on); one
+// failure too many locks the email or IP for a while. Lockouts and suspicious
+// sign-ins are written to admin_login_events.
+const { serviceError } = require('./errors');
+
+const LOGIN_EVENT_TYPES = [
+  'login_failed', 'login_succeeded', 'account_locked', 'ip_locked', 'suspicious_login', 'account_unlocked'
+];
+
+const getSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) || value < 1 ? fallback : value;
+};
+
+const getLimits = () => ({
+  account: getSetting('ADMIN_LOGIN_MAX_FAILURES', 5),
+  ip: getSetting('ADMIN_LOGIN_MAX_IP_FAILURES', 20),
+  lockoutMinutes: getSetting('ADMIN_LOGIN_LOCKOUT_MINUTES', 15)
+});
+
+// Failures from which each further attempt has to wait
+const slowFrom = (maxFailures) => Math.max(maxFailures - 2, 1);
+
+// Wait after the last two failures before a lockout: 2 seconds, then 4
+const delaySeconds = (failedCount, maxFailures) => {
+  const from = slowFrom(maxFailures);
+  return failedCount < from ? 0 : Math.min(2 ** (failedCount - from + 1), 60);
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase().slice(0, 255);
+
+const recordLoginEvent = async (db, event) => {
+  await db.query(`
+    INSERT INTO admin_login_events (admin_id, email, ip_address, event_type, details)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [event.adminId || null, event.email || null, event.ip || null, event.type, event.details || null]);
+};
+
+// Throw when the email or IP may not try to sign in yet; error.retryAfter is in seconds
+const checkLoginAllowed = async (db, email, ip) => {
+  const result = await db.query(`
+    SELECT scope,
+           CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP)) AS locked_for,
+           CEIL(EXTRACT(EPOCH FROM retry_at - CURRENT_TIMESTAMP)) AS wait_for
+    FROM admin_login_throttles
+    WHERE ((scope = 'account' AND key = $1) OR (scope = 'ip' AND key = $2))
+      AND (locked_until > CURRENT_TIMESTAMP OR retry_at > CURRENT_TIMESTAMP)
+  `, [normalizeEmail(email), String(ip || '')]);
+
+  for (const row of result.rows) {
+    let error;
+    if (row.locked_for > 0) {
+      error = row.scope === 'ip'
+        ? serviceError('Too many failed sign-ins from this address, try again later', 'LOGIN_IP_LOCKED', 429)
+        : serviceError('This account is locked after too many failed sign-ins, try again later', 'ACCOUNT_LOCKED', 423);
+      error.retryAfter = parseInt(row.locked_for);
+    } else {
+      error = serviceError('Too many failed sign-ins, wait before trying again', 'LOGIN_THROTTLED', 429);
+      error.retryAfter = parseInt(row.wait_for);
+    }
+    throw error;
+  }
+};
+
+// Count a failure against one email or IP. Failures older than the lockout
+// window are forgotten. Returns true when this failure locks it.
+const countFailure = async (db, scope, key, maxFailures, lockoutMinutes) => {
+  const result = await db.query(`
+    INSERT INTO admin_login_throttles AS t (scope, key, failed_count, last_failed_at)
+    VALUES ($1, $2, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (scope, key) DO UPDATE SET
+      failed_count = CASE WHEN t.last_failed_at < CURRENT_TIMESTAMP - make_interval(mins => $3) THEN 1 ELSE t.failed_count + 1 END,
+      last_failed_at = CURRENT_TIMESTAMP
+    RETURNING failed_count
+  `, [scope, key, lockoutMinutes]);
+  const failedCount = result.rows[0].failed_count;
+  const locked = failedCount >= maxFailures;
+
+  await db.query(`
+    UPDATE admin_login_throttles
+    SET retry_at = CURRENT_TIMESTAMP + make_interval(secs => $3),
+        locked_until = CASE WHEN $4 THEN CURRENT_TIMESTAMP + make_interval(mins => $5) ELSE locked_until END
+    WHERE scope = $1 AND key = $2
+  `, [scope, key, delaySeconds(failedCount, maxFailures), locked, lockoutMinutes]);
+  return locked;
+};
+
+// Record a failed sign-in, locking the email and/or IP when it was one too many
+const recordLoginFailure = async (db, { email, ip, adminId }) => {
+  const limits = getLimits();
+  const key = normalizeEmail(email);
+  const event = { adminId: adminId, email: key, ip: ip };
+
+  await recordLoginEvent(db, { ...event, type: 'login_failed' });
+  if (key && await countFailure(db, 'account', key, limits.account, limits.lockoutMinutes)) {
+    await recordLoginEvent(db, {
+      ...event, type: 'account_locked', details: `${limits.account} failed sign-ins; locked for ${limits.lockoutMinutes} minutes`
+    });
+  }
+  if (ip && await countFailure(db, 'ip', ip, limits.ip, limits.lockoutMinutes)) {
+    await recordLoginEvent(db, {
+      ...event, type: 'ip_locked', details: `${limits.ip} failed sign-ins; locked for ${limits.lockoutMinutes} minutes`
+    });
+  }
+};
+
+// Record a successful sign-in and clear the account's failures. It is flagged
+// as suspicious when it follows enough failures to have been slowed down, or
+// comes from an address the admin has not signed in from before.
+const recordLoginSuccess = async (db, { admin, ip, userAgent }) => {
+  const key = normalizeEmail(admin.email);
+  const throttle = await db.query(
+    "SELECT failed_count FROM admin_login_throttles WHERE scope = 'account' AND key = $1", [key]
+  );
+  const history = await db.query(`
+    SELECT COUNT(*) AS sign_ins, COUNT(*) FILTER (WHERE ip_address = $2) AS from_ip
+    FROM admin_login_events WHERE admin_id = $1 AND event_type = 'login_succeeded'
+  `, [admin.id, ip || null]);
+
+  const reasons = [];
+  const failedCount = throttle.rows[0] ? throttle.rows[0].failed_count : 0;
+  if (failedCount >= slowFrom(getLimits().account)) {
+    reasons.push(`after ${failedCount} failed attempts`);
+  }
+  if (parseInt(history.rows[0].sign_ins) > 0 && parseInt(history.rows[0].from_ip) === 0) {
+    reasons.push('from a new IP address');
+  }
+
+  const event = { adminId: admin.id, email: key, ip: ip };
+  if (reasons.length > 0) {
+    await recordLoginEvent(db, { ...event, type: 'suspicious_login', details: `Signed in ${reasons.join(' and ')}` });
+  }
+  await recordLoginEvent(db, { ...event, type: 'login_succeeded', details: userAgent ? String(userAgent).slice(0, 500) : null });
+  await db.query("DELETE FROM admin_login_throttles WHERE scope = 'account' AND key = $1", [key]);
+};
+
+// Clear an admin's failed sign-ins and lockout. unlockedBy is the owner doing
+// it, or null when the admin reset their own password.
+const unlockAccount = async (db, admin, unlockedBy) => {
+  const result = await db.query(
+    "DELETE FROM admin_login_throttles WHERE scope = 'account' AND key = $1 RETURNING locked_until > CURRENT_TIMESTAMP AS was_locked",
+    [normalizeEmail(admin.email)]
+  );
+  const wasLocked = result.rows.length > 0 && result.rows[0].was_locked === true;
+  if (wasLocked) {
+    await recordLoginEvent(db, {
+      adminId: admin.id,
+      email: normalizeEmail(admin.email),
+      type: 'account_unlocked',
+      details: unlockedBy ? `Unlocked by admin ${unlockedBy}` : 'Unlocked by a password reset'
+    });
+  }
+  return wasLocked;
+};
+
+// Sign-in history, newest first; filter with type, admin_id and limit (at most 500)
+const getLoginEvents = async (db, query) => {
+  const conditions = [];
+  const params = [];
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(type => type.trim()).filter(Boolean);
+    const invalid = types.find(type => !LOGIN_EVENT_TYPES.includes(type));
+    if (invalid) {
+      throw serviceError(`type must be one of ${LOGIN_EVENT_TYPES.join(', ')}`, 'LOGIN_EVENT_TYPE_INVALID', 400);
+    }
+    params.push(types);
+    conditions.push(`e.event_type = ANY($${params.length})`);
+  }
+  if (query.admin_id) {
+    params.push(parseInt(query.admin_id) || 0);
+    conditions.push(`e.admin_id = $${params.length}`);
+  }
+  params.push(Math.min(Math.max(parseInt(query.limit) || 100, 1), 500));
+
+  const result = await db.query(`
+    SELECT e.id, e.admin_id, a.name AS admin_name, e.email, e.ip_address, e.event_type, e.details, e.created_at
+    FROM admin_login_events e
+    LEFT JOIN admins a ON a.id = e.admin_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows;
+};
+
+module.exports = {
+  LOGIN_EVENT_TYPES,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  getLoginEvents
+};
@@ -0,0 +1,76 @@
+// Mail transports. Everything that sends mail goes through an object with a
+// send(message) method, so SMTP can be swapped for the in-memory transport in
+// tests or the console transport in development.
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, user, pass, secure }) => {
+  const transporter = nodemailer.createTransport({
+    host: host,
+    port: port,
+    secure: secure,
+    auth: user ? { user: user, pass: pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Keeps sent messages in memory instead of delivering them
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent: sent,
+    send: async (message) => {
+      sent.push(message);
+      return { messageId: `memory-${sent.length}` };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const attachments = (message.attachments || []).map(attachment => attachment.filename);
+    console.log(`📧 Mail to ${message.to}: ${message.subject}${attachments.length ? ` [${attachments.join(', ')}]` : ''}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+// MAIL_TRANSPORT picks the transport explicitly; otherwise SMTP is used once
+// SMTP_HOST is set. Without either, mail is only logged outside production and
+// there is no transport in production (null), so nothing is marked as sent.
+const createTransportFromEnv = (env = process.env) => {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : env.NODE_ENV === 'production' ? null : 'console');
+
+  if (!transport) {
+    return null;
+  }
+
+  if (transport === 'memory') {
+    return createMemoryTransport();
+  }
+
+  if (transport === 'smtp') {
+    const port = parseInt(env.SMTP_PORT) || 587;
+    return createSmtpTransport({
+      host: env.SMTP_HOST || 'localhost',
+      port: port,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465
+    });
+  }
+
+  return createConsoleTransport();
+};
+
+module.exports = {
+  createSmtpTransport,
+  createMemoryTransport,
+  createConsoleTransport,
+  createTransportFromEnv
+};
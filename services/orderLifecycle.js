@@ -0,0 +1,225 @@
+// Order lifecycle: every status change goes through transitionOrder so that
+// only allowed transitions happen and each one is timestamped and logged.
+const { serviceError } = require('./errors');
+const { issueTickets, voidTickets } = require('./tickets');
+const { assignInvoiceNumber } = require('./documents');
+const { queueOrderConfirmation } = require('./email');
+const { invalidateStats } = require('./stats');
+
+const ORDER_STATUSES = ['pending', 'paid', 'failed', 'expired', 'cancelled', 'refunded'];
+
+const ALLOWED_TRANSITIONS = {
+  pending: ['paid', 'failed', 'expired', 'cancelled'],
+  // A failed attempt leaves the payment link open, so the buyer can still pay
+  failed: ['paid', 'expired', 'cancelled'],
+  // Paid orders leave only through a full refund
+  paid: ['refunded'],
+  expired: [],
+  cancelled: [],
+  refunded: []
+};
+
+// Column stamped when an order enters each status
+const STATUS_TIMESTAMP_COLUMNS = {
+  paid: 'paid_at',
+  failed: 'failed_at',
+  expired: 'expired_at',
+  cancelled: 'cancelled_at',
+  refunded: 'refunded_at'
+};
+
+// Orders in these statuses give their package seats back
+const SEAT_RELEASING_STATUSES = ['failed', 'expired', 'cancelled', 'refunded'];
+
+const canTransition = (fromStatus, toStatus) => {
+  return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Record the initial status of a freshly inserted order
+const recordOrderCreated = async (db, orderId, changedBy = 'customer') => {
+  await db.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, reason, changed_by) VALUES ($1, NULL, $2, $3, $4)',
+    [orderId, 'pending', 'Order created', changedBy]
+  );
+};
+
+// Paid orders are counted as attendees, so these statuses change an event's stats
+const STATS_CHANGING_STATUSES = ['paid', 'refunded'];
+
+// Move an order to a new status. Run it on a client inside the caller's
+// transaction (or use commitOrderTransition): paying an order also numbers its
+// invoice, issues its tickets and queues the confirmation email, and refunding
+// or cancelling voids the tickets, so the status change and its side effects
+// must commit together. The lock, update, seat bookkeeping and history insert
+// run as a single statement. Callers drop the event's cached stats after
+// committing a move to one of STATS_CHANGING_STATUSES.
+// Resolves to { changed, order }; moving to the current status is a no-op.
+// Rejects with code INVALID_ORDER_TRANSITION or ORDER_NOT_FOUND otherwise.
+const transitionOrder = async (db, orderId, toStatus, options = {}) => {
+  const { reason = null, changedBy = 'system', fields = {} } = options;
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw serviceError(`Unknown order status: ${toStatus}`, 'INVALID_ORDER_STATUS', 400);
+  }
+
+  const fromStatuses = ORDER_STATUSES.filter(status => canTransition(status, toStatus));
+  const params = [orderId, toStatus, fromStatuses, reason, changedBy];
+
+  const assignments = ['status = $2'];
+  if (STATUS_TIMESTAMP_COLUMNS[toStatus]) {
+    assignments.push(`${STATUS_TIMESTAMP_COLUMNS[toStatus]} = CURRENT_TIMESTAMP`);
+  }
+  if (SEAT_RELEASING_STATUSES.includes(toStatus)) {
+    assignments.push('seat_held = false');
+  } else if (toStatus === 'paid') {
+    // A payment landing after a failed attempt takes its seats back even past
+    // the cap: the money has already been captured
+    assignments.push('seat_held = o.package_id IS NOT NULL');
+  }
+  for (const [column, value] of Object.entries(fields)) {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  }
+
+  const result = await db.query(`
+    WITH previous AS (
+      SELECT id, status, seat_held FROM orders WHERE id = $1 FOR UPDATE
+    ),
+    updated AS (
+      UPDATE orders o
+      SET ${assignments.join(', ')}
+      FROM previous
+      WHERE o.id = previous.id AND previous.status = ANY($3::text[])
+      RETURNING o.*, previous.status AS previous_status, previous.seat_held AS previous_seat_held
+    ),
+    history AS (
+      INSERT INTO order_status_history (order_id, from_status, to_status, reason, changed_by)
+      SELECT id, previous_status, status, $4, $5 FROM updated
+    ),
+    seats AS (
+      UPDATE event_packages p
+      SET seats_reserved = GREATEST(p.seats_reserved + (updated.seat_held::int - updated.previous_seat_held::int) * updated.quantity, 0)
+      FROM updated
+      WHERE p.id = updated.package_id AND updated.seat_held <> updated.previous_seat_held
+    )
+    SELECT * FROM updated
+  `, params);
+
+  if (result.rows.length > 0) {
+    if (toStatus === 'paid') {
+      await assignInvoiceNumber(db, orderId);
+      await issueTickets(db, orderId);
+      await queueOrderConfirmation(db, orderId);
+    } else if (toStatus === 'refunded' || toStatus === 'cancelled') {
+      await voidTickets(db, orderId);
+    }
+    return { changed: true, order: result.rows[0] };
+  }
+
+  const current = await db.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  const order = current.rows[0];
+
+  if (!order) {
+    throw serviceError(`Order ${orderId} not found`, 'ORDER_NOT_FOUND', 404);
+  }
+
+  if (order.status === toStatus) {
+    return { changed: false, order };
+  }
+
+  throw serviceError(
+    `Order ${orderId} cannot move from ${order.status} to ${toStatus}`,
+    'INVALID_ORDER_TRANSITION',
+    409
+  );
+};
+
+// Move an order to a new status in a transaction of its own, then drop the
+// event's cached stats once the change is committed
+const commitOrderTransition = async (pool, orderId, toStatus, options) => {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await transitionOrder(client, orderId, toStatus, options);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (result.changed && STATS_CHANGING_STATUSES.includes(toStatus)) {
+    invalidateStats(result.order.event_id);
+  }
+  return result;
+};
+
+const getOrderHistory = async (db, orderId) => {
+  const result = await db.query(
+    'SELECT id, from_status, to_status, reason, changed_by, created_at FROM order_status_history WHERE order_id = $1 ORDER BY created_at, id',
+    [orderId]
+  );
+  return result.rows;
+};
+
+// Expire pending orders whose payment link has lapsed. Links are checked with
+// Razorpay first so a payment that landed late is recorded instead of expired.
+const expireStaleOrders = async (pool, razorpayClient, { fallbackMinutes = 30, batchSize = 100 } = {}) => {
+  const staleOrders = await pool.query(`
+    SELECT id, payment_link_id
+    FROM orders
+    WHERE status IN ('pending', 'failed')
+    AND COALESCE(payment_link_expires_at, created_at + ($1 || ' minutes')::interval) < CURRENT_TIMESTAMP
+    ORDER BY id
+    LIMIT $2
+  `, [String(fallbackMinutes), batchSize]);
+
+  let expired = 0;
+
+  for (const order of staleOrders.rows) {
+    try {
+      if (razorpayClient && order.payment_link_id) {
+        const paymentLink = await razorpayClient.paymentLink.fetch(order.payment_link_id);
+
+        if (paymentLink.status === 'paid') {
+          const payments = paymentLink.payments || [];
+          const payment = payments.find(p => p.status === 'captured') || payments[payments.length - 1];
+          await commitOrderTransition(pool, order.id, 'paid', {
+            reason: 'Payment found while sweeping stale orders',
+            fields: { payment_id: payment ? payment.payment_id : null }
+          });
+          continue;
+        }
+
+        // Links created without expire_by stay payable until cancelled
+        if (paymentLink.status === 'created' || paymentLink.status === 'partially_paid') {
+          await razorpayClient.paymentLink.cancel(order.payment_link_id);
+        }
+      }
+
+      const result = await commitOrderTransition(pool, order.id, 'expired', {
+        reason: 'Payment link lapsed'
+      });
+      if (result.changed) expired++;
+    } catch (error) {
+      console.error(`Failed to expire order ${order.id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ALLOWED_TRANSITIONS,
+  SEAT_RELEASING_STATUSES,
+  STATS_CHANGING_STATUSES,
+  canTransition,
+  recordOrderCreated,
+  transitionOrder,
+  commitOrderTransition,
+  getOrderHistory,
+  expireStaleOrders
+};
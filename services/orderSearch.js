@@ -0,0 +1,193 @@
+// Admin order search: filters, free-text search, sorting and pagination for
+// the order list. The query string is parsed once into plain filters, which
+// are then turned into a parameterised WHERE clause.
+const { serviceError } = require('./errors');
+const { ORDER_STATUSES } = require('./orderLifecycle');
+
+// Sortable columns, as accepted in ?sort=
+const ORDER_SORT_COLUMNS = ['id', 'created_at', 'paid_at', 'amount', 'quantity', 'customer_name', 'customer_email', 'package_name', 'status'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ORDER_LIST_COLUMNS = `
+  id, event_id, customer_name, customer_email, customer_phone, package_id, package_name,
+  quantity, amount, discount_amount, promo_code, status, payment_id, paid_at, invoice_number, created_at
+`;
+
+const invalidFilter = (message) => serviceError(message, 'ORDER_FILTER_INVALID', 400);
+
+const isValidDate = (value) => {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+};
+
+const parseId = (value, name) => {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(String(value))) {
+    throw invalidFilter(`${name} must be an ID`);
+  }
+  return parseInt(value);
+};
+
+const parseAmount = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const amount = Number(value);
+  if (typeof value !== 'string' || !Number.isFinite(amount) || amount < 0) {
+    throw invalidFilter(`${name} must be an amount of 0 or more`);
+  }
+  return amount;
+};
+
+// Parse the order list query string:
+// ?q=&status=paid,refunded&event_id=&package_id=&from=&to=&min_amount=&max_amount=
+// &sort=created_at&order=desc&page=1&page_size=50
+const parseOrderQuery = (query) => {
+  const statuses = query.status ? String(query.status).split(',').map(status => status.trim()).filter(Boolean) : [];
+  const unknownStatus = statuses.find(status => !ORDER_STATUSES.includes(status));
+  if (unknownStatus) {
+    throw invalidFilter(`Unknown order status: ${unknownStatus}`);
+  }
+
+  for (const name of ['from', 'to']) {
+    if (query[name] && !isValidDate(query[name])) {
+      throw invalidFilter(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  const minAmount = parseAmount(query.min_amount, 'min_amount');
+  const maxAmount = parseAmount(query.max_amount, 'max_amount');
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw invalidFilter('min_amount must not be more than max_amount');
+  }
+
+  const sort = query.sort || 'created_at';
+  if (!ORDER_SORT_COLUMNS.includes(sort)) {
+    throw invalidFilter(`sort must be one of ${ORDER_SORT_COLUMNS.join(', ')}`);
+  }
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw invalidFilter('order must be asc or desc');
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page);
+  const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.page_size);
+  if (!Number.isInteger(page) || page < 1) {
+    throw invalidFilter('page must be 1 or more');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw invalidFilter(`page_size must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    filters: {
+      search: query.q ? String(query.q).trim() : '',
+      statuses: statuses,
+      eventId: parseId(query.event_id, 'event_id'),
+      packageId: parseId(query.package_id, 'package_id'),
+      from: query.from || null,
+      to: query.to || null,
+      minAmount: minAmount,
+      maxAmount: maxAmount
+    },
+    sort: sort,
+    order: order,
+    page: page,
+    pageSize: pageSize
+  };
+};
+
+// Escape LIKE wildcards so the search text matches literally
+const escapeLike = (text) => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+// WHERE clause and parameters for a set of filters
+const buildOrderFilter = (filters) => {
+  const conditions = [];
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.search) {
+    const pattern = add(`%${escapeLike(filters.search)}%`);
+    const matches = ['customer_name', 'customer_email', 'customer_phone', 'payment_id', 'payment_link_id']
+      .map(column => `${column} ILIKE ${pattern}`);
+
+    // Phone numbers match whatever spacing or +91 prefix they were entered with
+    const digits = filters.search.replace(/\D/g, '');
+    if (digits.length >= 4) {
+      matches.push(`regexp_replace(customer_phone, '\\D', '', 'g') LIKE ${add(`%${digits}%`)}`);
+    }
+    if (/^\d+$/.test(filters.search)) {
+      matches.push(`id::text = ${add(filters.search)}`);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+  if (filters.statuses.length > 0) {
+    conditions.push(`status = ANY(${add(filters.statuses)}::text[])`);
+  }
+  if (filters.eventId !== null) {
+    conditions.push(`event_id = ${add(filters.eventId)}`);
+  }
+  if (filters.packageId !== null) {
+    conditions.push(`package_id = ${add(filters.packageId)}`);
+  }
+  if (filters.from) {
+    conditions.push(`created_at >= ${add(filters.from)}::date`);
+  }
+  if (filters.to) {
+    conditions.push(`created_at < ${add(filters.to)}::date + 1`);
+  }
+  if (filters.minAmount !== null) {
+    conditions.push(`amount >= ${add(filters.minAmount)}`);
+  }
+  if (filters.maxAmount !== null) {
+    conditions.push(`amount <= ${add(filters.maxAmount)}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params: params
+  };
+};
+
+// ORDER BY for a parsed query; the order ID breaks ties so pages never overlap
+const buildOrderSort = ({ sort, order }) => {
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${sort} ${direction} NULLS LAST, id ${direction}`;
+};
+
+// One page of matching orders and the total number of matches
+const searchOrders = async (db, parsed) => {
+  const { where, params } = buildOrderFilter(parsed.filters);
+
+  const countResult = await db.query(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+  const total = parseInt(countResult.rows[0].total);
+
+  const result = await db.query(`
+    SELECT ${ORDER_LIST_COLUMNS}
+    FROM orders
+    ${where}
+    ${buildOrderSort(parsed)}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, parsed.pageSize, (parsed.page - 1) * parsed.pageSize]);
+
+  return {
+    orders: result.rows,
+    pagination: {
+      page: parsed.page,
+      pageSize: parsed.pageSize,
+      total: total,
+      totalPages: Math.ceil(total / parsed.pageSize)
+    }
+  };
+};
+
+module.exports = {
+  ORDER_SORT_COLUMNS,
+  parseOrderQuery,
+  buildOrderFilter,
+  buildOrderSort,
+  searchOrders
+};
@@ -0,0 +1,67 @@
+// Password rules for admin accounts: a minimum length (ADMIN_PASSWORD_MIN_LENGTH,
+// default 10), at least three kinds of character, and nothing common or
+// built from the admin's email address.
+const { serviceError } = require('./errors');
+
+// bcrypt only looks at the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const COMMON_PASSWORDS = [
+  'password', 'password1', 'password123', 'passw0rd', 'admin', 'admin123', 'admin1234', 'administrator',
+  'welcome', 'welcome1', 'welcome123', 'letmein', 'changeme', 'qwerty', 'qwerty123', 'iloveyou',
+  '12345678', '123456789', '1234567890', 'rtalks', 'rtalks123', 'r-talks'
+];
+
+const getMinLength = () => {
+  const length = parseInt(process.env.ADMIN_PASSWORD_MIN_LENGTH);
+  return Number.isNaN(length) || length < 8 ? 10 : length;
+};
+
+// Everything wrong with a password, as sentences; empty when it is acceptable
+const getPasswordProblems = (password, { email } = {}) => {
+  if (typeof password !== 'string' || password === '') {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  const minLength = getMinLength();
+  if (password.length < minLength) {
+    problems.push(`Password must be at least ${minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    problems.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes`);
+  }
+
+  const kinds = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(pattern => pattern.test(password)).length;
+  if (kinds < 3) {
+    problems.push('Password must mix at least three of: lowercase letters, uppercase letters, digits and symbols');
+  }
+
+  const lower = password.toLowerCase();
+  // Common passwords dressed up with a trailing number or symbol are still common
+  if (COMMON_PASSWORDS.includes(lower) || COMMON_PASSWORDS.includes(lower.replace(/[^a-z]+$/, ''))) {
+    problems.push('Password is too common');
+  }
+
+  const localPart = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    problems.push('Password must not contain your email address');
+  }
+
+  return problems;
+};
+
+// Throw ADMIN_PASSWORD_WEAK, listing every problem, unless the password is acceptable
+const validatePassword = (password, options) => {
+  const problems = getPasswordProblems(password, options);
+  if (problems.length > 0) {
+    const error = serviceError(problems[0], 'ADMIN_PASSWORD_WEAK', 400);
+    error.problems = problems;
+    throw error;
+  }
+};
+
+module.exports = {
+  getPasswordProblems,
+  validatePassword
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length === 0) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+// Verify the X-Razorpay-Signature header against the raw webhook body
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !secret) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  return signaturesMatch(expectedSignature, signature);
+};
+
+// Razorpay retries carry the same X-Razorpay-Event-Id; fall back to a body hash
+// so an identical replay is still caught if the header is ever missing
+const getWebhookEventId = (headers, rawBody) => {
+  const headerId = headers['x-razorpay-event-id'];
+  if (headerId) {
+    return headerId;
+  }
+
+  return 'sha256:' + crypto.createHash('sha256').update(rawBody).digest('hex');
+};
+
+// Verify the razorpay_signature Razorpay appends to the payment-link callback URL
+const verifyPaymentLinkSignature = (params, secret) => {
+  const { paymentLinkId, referenceId, status, paymentId, signature } = params;
+
+  if (!secret || !paymentLinkId || !paymentId) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(`${paymentLinkId}|${referenceId || ''}|${status}|${paymentId}`)
+    .digest('hex');
+
+  return signaturesMatch(expectedSignature, signature);
+};
+
+// Confirm a payment-link callback against the order and the Razorpay API.
+// Returns the verification result that gets stored on the order.
+const reconcilePaymentLink = async (razorpayClient, order, params, secret) => {
+  if (!verifyPaymentLinkSignature(params, secret)) {
+    return 'signature_invalid';
+  }
+
+  if (!order.payment_link_id || order.payment_link_id !== params.paymentLinkId) {
+    return 'link_mismatch';
+  }
+
+  if (!razorpayClient) {
+    return 'gateway_unavailable';
+  }
+
+  const paymentLink = await razorpayClient.paymentLink.fetch(params.paymentLinkId);
+
+  if (paymentLink.status !== 'paid') {
+    return 'status_mismatch';
+  }
+
+  if (Array.isArray(paymentLink.payments) &&
+      !paymentLink.payments.some(payment => payment.payment_id === params.paymentId)) {
+    return 'payment_mismatch';
+  }
+
+  return 'verified';
+};
+
+module.exports = {
+  signaturesMatch,
+  verifyWebhookSignature,
+  getWebhookEventId,
+  verifyPaymentLinkSignature,
+  reconcilePaymentLink
+};
@@ -0,0 +1,34 @@
+// Admin roles and what each may do. Every /api/admin route names the
+// permission it needs; owners have all of them.
+
+const ADMIN_PERMISSIONS = [
+  'reports',        // dashboard stats and sales analytics
+  'content',        // events, site content, packages, speakers, sponsors, agenda, imports, contact info
+  'orders.read',    // orders, attendees, invoices and exports
+  'orders.manage',  // refunds and cancellations
+  'checkin',        // ticket check-in
+  'promo_codes',
+  'contact_forms',  // the contact inbox
+  'email',          // email templates and the outbox
+  'admins'          // admin accounts and roles
+];
+
+const ROLE_PERMISSIONS = {
+  owner: ADMIN_PERMISSIONS,
+  finance: ['reports', 'orders.read', 'orders.manage', 'promo_codes', 'contact_forms'],
+  content_editor: ['content', 'contact_forms'],
+  door_staff: ['checkin']
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  ADMIN_ROLES,
+  ADMIN_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,58 @@
+// Quantity pricing for ticket packages. A package may define price tiers,
+// e.g. [{ "min_quantity": 5, "unit_price": 2499 }], in event_packages.price_tiers;
+// the tier with the highest min_quantity not above the quantity ordered wins.
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+const resolveUnitPrice = (ticketPackage, quantity) => {
+  const tiers = Array.isArray(ticketPackage.price_tiers) ? ticketPackage.price_tiers : [];
+  const tier = tiers
+    .filter(t => quantity >= t.min_quantity)
+    .sort((a, b) => b.min_quantity - a.min_quantity)[0];
+
+  return parseFloat(tier ? tier.unit_price : ticketPackage.price);
+};
+
+// Unit price and subtotal (in rupees) for a quantity of a package
+const priceOrder = (ticketPackage, quantity) => {
+  const unitPrice = resolveUnitPrice(ticketPackage, quantity);
+  return {
+    unitPrice: unitPrice,
+    subtotal: (toPaise(unitPrice) * quantity) / 100
+  };
+};
+
+// Validate admin input for price tiers; returns { tiers } or { error }.
+// Empty input clears the tiers.
+const parsePriceTiers = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return { tiers: null };
+  }
+  if (!Array.isArray(input)) {
+    return { error: 'Price tiers must be an array' };
+  }
+  if (input.some(tier => !tier || typeof tier !== 'object' || Array.isArray(tier))) {
+    return { error: 'Each price tier must be an object with min_quantity and unit_price' };
+  }
+
+  const tiers = input.map(tier => ({
+    min_quantity: Number(tier.min_quantity),
+    unit_price: parseFloat(tier.unit_price)
+  }));
+
+  if (tiers.some(tier => !Number.isInteger(tier.min_quantity) || tier.min_quantity < 2 || !(tier.unit_price > 0))) {
+    return { error: 'Each price tier needs a min_quantity of at least 2 and a positive unit_price' };
+  }
+  if (new Set(tiers.map(tier => tier.min_quantity)).size !== tiers.length) {
+    return { error: 'Price tiers must have distinct min_quantity values' };
+  }
+
+  tiers.sort((a, b) => a.min_quantity - b.min_quantity);
+  return { tiers: tiers.length > 0 ? tiers : null };
+};
+
+module.exports = {
+  resolveUnitPrice,
+  priceOrder,
+  parsePriceTiers
+};
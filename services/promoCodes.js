@@ -0,0 +1,80 @@
+// Promo codes: percentage or flat discounts, optionally limited to packages,
+// a validity window, a total number of uses and a number of uses per email.
+// A code counts as used by every pending or paid order that carries it, so
+// failed, expired, cancelled and refunded orders give their use back.
+const { serviceError } = require('./errors');
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Discount in rupees for the given price, never more than the price itself
+const calculateDiscount = (promo, price) => {
+  const pricePaise = toPaise(price);
+  const discountPaise = promo.discount_type === 'percentage'
+    ? Math.round(pricePaise * parseFloat(promo.discount_value) / 100)
+    : toPaise(promo.discount_value);
+
+  return Math.min(discountPaise, pricePaise) / 100;
+};
+
+// Check a code for a package and buyer. Pass lock: true inside the order
+// transaction so concurrent orders cannot overrun the usage caps.
+// Resolves to { promo, discount, finalAmount } or rejects with a PROMO_CODE_* error.
+const applyPromoCode = async (db, code, { packageId, price, email, lock = false }) => {
+  const result = await db.query(
+    `SELECT * FROM promo_codes WHERE code = $1 AND is_active = true${lock ? ' FOR UPDATE' : ''}`,
+    [normalizeCode(code)]
+  );
+  const promo = result.rows[0];
+
+  if (!promo) {
+    throw serviceError('This promo code is not valid', 'PROMO_CODE_INVALID', 400);
+  }
+
+  const now = new Date();
+  if (promo.starts_at && now < promo.starts_at) {
+    throw serviceError('This promo code is not active yet', 'PROMO_CODE_NOT_STARTED', 400);
+  }
+  if (promo.ends_at && now > promo.ends_at) {
+    throw serviceError('This promo code has expired', 'PROMO_CODE_EXPIRED', 400);
+  }
+
+  if (promo.package_ids && promo.package_ids.length > 0 && !promo.package_ids.includes(Number(packageId))) {
+    throw serviceError('This promo code does not apply to the selected package', 'PROMO_CODE_NOT_APPLICABLE', 400);
+  }
+
+  if (promo.max_uses !== null || (promo.max_uses_per_email !== null && email)) {
+    const usage = await db.query(`
+      SELECT
+        COUNT(*) AS total_uses,
+        COUNT(*) FILTER (WHERE LOWER(customer_email) = LOWER($2)) AS email_uses
+      FROM orders
+      WHERE promo_code_id = $1 AND status IN ('pending', 'paid')
+    `, [promo.id, email || '']);
+
+    if (promo.max_uses !== null && parseInt(usage.rows[0].total_uses) >= promo.max_uses) {
+      throw serviceError('This promo code has been fully redeemed', 'PROMO_CODE_EXHAUSTED', 400);
+    }
+    if (promo.max_uses_per_email !== null && email && parseInt(usage.rows[0].email_uses) >= promo.max_uses_per_email) {
+      throw serviceError('This promo code has already been used with this email', 'PROMO_CODE_EMAIL_LIMIT', 400);
+    }
+  }
+
+  const discount = calculateDiscount(promo, price);
+
+  return {
+    promo: promo,
+    discount: discount,
+    finalAmount: (toPaise(price) - toPaise(discount)) / 100
+  };
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  calculateDiscount,
+  applyPromoCode
+};
@@ -0,0 +1,224 @@
+// Refunds are issued through Razorpay and tracked in the refunds table.
+// Amounts are stored in rupees and converted to paise only for Razorpay.
+const { serviceError } = require('./errors');
+const { transitionOrder } = require('./orderLifecycle');
+const { invalidateStats } = require('./stats');
+
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Amount still refundable on an order; failed refunds do not count against it
+const getRefundableAmount = async (db, order) => {
+  const result = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE order_id = $1 AND status <> 'failed'",
+    [order.id]
+  );
+  return (toPaise(order.amount) - toPaise(result.rows[0].refunded)) / 100;
+};
+
+// Mark the order refunded once processed refunds cover the full amount;
+// returns the order when this refunded it, else null
+const settleOrderRefunds = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT o.amount, COALESCE(SUM(r.amount) FILTER (WHERE r.status = 'processed'), 0) AS processed
+    FROM orders o
+    LEFT JOIN refunds r ON r.order_id = o.id
+    WHERE o.id = $1
+    GROUP BY o.id
+  `, [orderId]);
+
+  const totals = result.rows[0];
+  if (!totals || toPaise(totals.processed) < toPaise(totals.amount)) {
+    return null;
+  }
+
+  try {
+    const { changed, order } = await transitionOrder(db, orderId, 'refunded', {
+      reason: 'Refunded in full',
+      changedBy: 'refunds'
+    });
+    return changed ? order : null;
+  } catch (error) {
+    if (error.code !== 'INVALID_ORDER_TRANSITION') throw error;
+    return null;
+  }
+};
+
+// Razorpay answered with a 4xx, so the refund was definitely not created;
+// timeouts and 5xx errors leave the outcome unknown
+const isGatewayRejection = (gatewayError) =>
+  gatewayError.statusCode >= 400 && gatewayError.statusCode < 500;
+
+// Issue a full (amount omitted) or partial refund for a paid order. The refund
+// is recorded as pending and committed before Razorpay is called, so the order
+// is not locked during the request. If Razorpay's answer is lost, the row stays
+// pending and the refund webhook settles it through the refund_id note.
+const createRefund = async (pool, razorpayClient, orderId, { amount, reason, adminId } = {}) => {
+  if (!razorpayClient) {
+    throw serviceError('Payment gateway is not configured', 'PAYMENT_GATEWAY_UNAVAILABLE', 503);
+  }
+
+  let order;
+  let refund;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the order so concurrent refunds cannot exceed the amount paid
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    order = orderResult.rows[0];
+
+    if (!order) {
+      throw serviceError(`Order ${orderId} not found`, 'ORDER_NOT_FOUND', 404);
+    }
+
+    if (order.status !== 'paid' || !order.payment_id) {
+      throw serviceError(`Order ${orderId} is ${order.status} and cannot be refunded`, 'ORDER_NOT_REFUNDABLE', 409);
+    }
+
+    const refundable = await getRefundableAmount(client, order);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : parseFloat(amount);
+
+    if (!(toPaise(refundAmount) > 0) || toPaise(refundAmount) > toPaise(refundable)) {
+      throw serviceError(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`, 'INVALID_REFUND_AMOUNT', 400);
+    }
+
+    // Pending refunds count against the balance, so this row holds the amount once the lock is gone
+    const refundResult = await client.query(`
+      INSERT INTO refunds (order_id, amount, status, reason, created_by)
+      VALUES ($1, $2, 'pending', $3, $4)
+      RETURNING *
+    `, [order.id, refundAmount, reason || null, adminId || null]);
+    refund = refundResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = await razorpayClient.payments.refund(order.payment_id, {
+      amount: toPaise(refund.amount),
+      notes: {
+        order_id: String(order.id),
+        refund_id: String(refund.id),
+        reason: reason || ''
+      }
+    });
+  } catch (gatewayError) {
+    const description = gatewayError.error?.description || gatewayError.message || 'Refund request failed';
+    if (isGatewayRejection(gatewayError)) {
+      await pool.query(`
+        UPDATE refunds SET status = 'failed', failed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+      `, [refund.id]);
+      throw serviceError(description, 'REFUND_GATEWAY_ERROR', 502);
+    }
+    throw serviceError(
+      `${description}; refund ${refund.id} stays pending until Razorpay reports on it`,
+      'REFUND_OUTCOME_UNKNOWN',
+      502
+    );
+  }
+
+  const status = REFUND_STATUSES.includes(razorpayRefund.status) ? razorpayRefund.status : 'pending';
+  const settleClient = await pool.connect();
+  try {
+    await settleClient.query('BEGIN');
+
+    // The webhook may have got here first; a status it recorded is kept
+    const refundResult = await settleClient.query(`
+      UPDATE refunds
+      SET razorpay_refund_id = $2,
+          status = CASE WHEN status = 'pending' THEN $3 ELSE status END,
+          processed_at = COALESCE(processed_at, CASE WHEN status = 'pending' AND $3::varchar = 'processed' THEN CURRENT_TIMESTAMP END),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [refund.id, razorpayRefund.id, status]);
+    refund = refundResult.rows[0];
+
+    const refundedOrder = refund.status === 'processed' ? await settleOrderRefunds(settleClient, order.id) : null;
+
+    await settleClient.query('COMMIT');
+    if (refundedOrder) {
+      invalidateStats(refundedOrder.event_id);
+    }
+    return refund;
+  } catch (error) {
+    await settleClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    settleClient.release();
+  }
+};
+
+// Apply a refund.processed / refund.failed webhook. A refund created here
+// carries its row id in the refund_id note, which also matches a row whose
+// Razorpay id was never recorded. Refunds started from the Razorpay dashboard
+// are not in the table yet, so they are inserted here.
+// Resolves to { refund, refundedOrder }, or null for an unknown payment;
+// refundedOrder is the order when this refund completed it.
+const applyRefundEvent = async (db, refundEntity, status) => {
+  const orderResult = await db.query('SELECT id FROM orders WHERE payment_id = $1', [refundEntity.payment_id]);
+  const order = orderResult.rows[0];
+
+  if (!order) {
+    return null;
+  }
+
+  let refund = null;
+  const localId = parseInt(refundEntity.notes?.refund_id);
+  if (!Number.isNaN(localId)) {
+    const matched = await db.query(`
+      UPDATE refunds
+      SET razorpay_refund_id = $3, status = $4,
+          processed_at = COALESCE(processed_at, CASE WHEN $4::varchar = 'processed' THEN CURRENT_TIMESTAMP END),
+          failed_at = COALESCE(failed_at, CASE WHEN $4::varchar = 'failed' THEN CURRENT_TIMESTAMP END),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND order_id = $2 AND (razorpay_refund_id IS NULL OR razorpay_refund_id = $3)
+      RETURNING *
+    `, [localId, order.id, refundEntity.id, status]);
+    refund = matched.rows[0] || null;
+  }
+
+  if (!refund) {
+    const result = await db.query(`
+      INSERT INTO refunds (order_id, razorpay_refund_id, amount, status, reason, processed_at, failed_at)
+      VALUES ($1, $2, $3, $4, $5,
+        CASE WHEN $4::varchar = 'processed' THEN CURRENT_TIMESTAMP END,
+        CASE WHEN $4::varchar = 'failed' THEN CURRENT_TIMESTAMP END)
+      ON CONFLICT (razorpay_refund_id) DO UPDATE
+      SET status = EXCLUDED.status,
+          processed_at = COALESCE(refunds.processed_at, EXCLUDED.processed_at),
+          failed_at = COALESCE(refunds.failed_at, EXCLUDED.failed_at),
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [order.id, refundEntity.id, refundEntity.amount / 100, status, refundEntity.notes?.reason || null]);
+    refund = result.rows[0];
+  }
+
+  const refundedOrder = status === 'processed' ? await settleOrderRefunds(db, order.id) : null;
+  return { refund: refund, refundedOrder: refundedOrder };
+};
+
+const getOrderRefunds = async (db, orderId) => {
+  const result = await db.query(
+    'SELECT * FROM refunds WHERE order_id = $1 ORDER BY created_at, id',
+    [orderId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  REFUND_STATUSES,
+  getRefundableAmount,
+  createRefund,
+  applyRefundEvent,
+  getOrderRefunds
+};
@@ -0,0 +1,16 @@
+// Sponsors. Each belongs to a tier; tiers are listed from the most to the
+// least prominent, which is also the order the public listing uses.
+
+const SPONSOR_TIERS = ['title', 'platinum', 'gold', 'silver', 'bronze', 'partner'];
+
+// Group sponsor rows (already sorted by display order) into tiers, skipping empty ones
+const groupSponsorsByTier = (sponsors) => {
+  return SPONSOR_TIERS
+    .map(tier => ({ tier: tier, sponsors: sponsors.filter(sponsor => sponsor.tier === tier) }))
+    .filter(group => group.sponsors.length > 0);
+};
+
+module.exports = {
+  SPONSOR_TIERS,
+  groupSponsorsByTier
+};
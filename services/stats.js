@@ -0,0 +1,146 @@
+// Public event statistics, derived from live data: attendees from paid
+// orders, speakers and partners (sponsors) from their active rows. Admins can
+// pin a metric to a manual value (override) or stop it dropping below one
+// (floor) through the event's stats row. Results are cached in memory and
+// dropped once a change to the orders, speakers or sponsors behind them has
+// committed.
+const { serviceError } = require('./errors');
+
+const STAT_METRICS = ['attendees', 'partners', 'speakers'];
+const STAT_MODES = ['live', 'override', 'floor'];
+
+const cache = new Map();
+// Bumped by every invalidation, so a read that started before a change does
+// not cache the numbers it saw once the change has dropped the cache
+let cacheGeneration = 0;
+
+const getCacheTtlMs = () => {
+  const seconds = parseInt(process.env.STATS_CACHE_SECONDS);
+  return (Number.isNaN(seconds) ? 60 : seconds) * 1000;
+};
+
+const getLiveStats = async (db, eventId) => {
+  const result = await db.query(`
+    SELECT
+      (SELECT COALESCE(SUM(quantity), 0) FROM orders WHERE event_id = $1 AND status = 'paid') AS attendees,
+      (SELECT COUNT(*) FROM sponsors WHERE event_id = $1 AND is_active = true) AS partners,
+      (SELECT COUNT(*) FROM speakers WHERE event_id = $1 AND is_active = true) AS speakers
+  `, [eventId]);
+
+  const row = result.rows[0];
+  return {
+    attendees: parseInt(row.attendees),
+    partners: parseInt(row.partners),
+    speakers: parseInt(row.speakers)
+  };
+};
+
+const applyMode = (live, mode, value) => {
+  if (mode === 'override') return value;
+  if (mode === 'floor') return Math.max(live, value);
+  return live;
+};
+
+// Live value, mode, manual value and the number shown, for each metric
+const getStatsBreakdown = async (db, eventId) => {
+  const live = await getLiveStats(db, eventId);
+  const settingsResult = await db.query('SELECT * FROM stats WHERE event_id = $1', [eventId]);
+  const settings = settingsResult.rows[0] || {};
+
+  const breakdown = {};
+  for (const metric of STAT_METRICS) {
+    const mode = settings[`${metric}_mode`] || 'live';
+    const value = parseInt(settings[metric]) || 0;
+    breakdown[metric] = {
+      live: live[metric],
+      mode: mode,
+      value: value,
+      effective: applyMode(live[metric], mode, value)
+    };
+  }
+  return breakdown;
+};
+
+// The numbers shown on the site, served from the cache when fresh
+const getEventStats = async (db, eventId) => {
+  const cached = cache.get(eventId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.stats;
+  }
+
+  const generation = cacheGeneration;
+  const breakdown = await getStatsBreakdown(db, eventId);
+  const stats = {};
+  for (const metric of STAT_METRICS) {
+    stats[metric] = breakdown[metric].effective;
+  }
+
+  if (generation === cacheGeneration) {
+    cache.set(eventId, { stats: stats, expiresAt: Date.now() + getCacheTtlMs() });
+  }
+  return stats;
+};
+
+// Drop the cached stats of one event, or of every event when none is given.
+// Call it after the change has committed, or a read in between re-caches the old numbers.
+const invalidateStats = (eventId) => {
+  cacheGeneration++;
+  if (eventId === undefined || eventId === null) {
+    cache.clear();
+  } else {
+    cache.delete(Number(eventId));
+  }
+};
+
+// Change the mode and manual value of some metrics, e.g.
+// { attendees: { mode: 'floor', value: 500 }, speakers: { mode: 'live' } }
+const updateStatsSettings = async (db, eventId, settings) => {
+  const params = [eventId];
+  const assignments = [];
+
+  for (const [metric, setting] of Object.entries(settings || {})) {
+    if (!STAT_METRICS.includes(metric) || !setting || typeof setting !== 'object') {
+      throw serviceError(`Unknown metric: ${metric}`, 'STATS_METRIC_INVALID', 400);
+    }
+
+    const mode = setting.mode || 'live';
+    if (!STAT_MODES.includes(mode)) {
+      throw serviceError(`Mode must be one of ${STAT_MODES.join(', ')}`, 'STATS_MODE_INVALID', 400);
+    }
+    params.push(mode);
+    assignments.push(`${metric}_mode = $${params.length}`);
+
+    if (setting.value !== undefined && setting.value !== null) {
+      const value = Number(setting.value);
+      if (!Number.isInteger(value) || value < 0) {
+        throw serviceError(`The ${metric} value must be a whole number of 0 or more`, 'STATS_VALUE_INVALID', 400);
+      }
+      params.push(value);
+      assignments.push(`${metric} = $${params.length}`);
+    } else if (mode !== 'live') {
+      throw serviceError(`A value is required for the ${metric} ${mode}`, 'STATS_VALUE_INVALID', 400);
+    }
+  }
+
+  if (assignments.length === 0) {
+    throw serviceError('No metrics to update', 'STATS_METRIC_INVALID', 400);
+  }
+
+  await db.query('INSERT INTO stats (event_id) VALUES ($1) ON CONFLICT (event_id) DO NOTHING', [eventId]);
+  await db.query(`
+    UPDATE stats SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE event_id = $1
+  `, params);
+
+  invalidateStats(eventId);
+  return getStatsBreakdown(db, eventId);
+};
+
+module.exports = {
+  STAT_METRICS,
+  STAT_MODES,
+  getLiveStats,
+  getStatsBreakdown,
+  getEventStats,
+  invalidateStats,
+  updateStatsSettings
+};
@@ -0,0 +1,164 @@
+// Attendee tickets. Every attendee on a paid order gets one ticket whose code
+// is a random identifier plus an HMAC, so forged codes are rejected before
+// they reach the database and valid ones cannot be guessed.
+const crypto = require('crypto');
+const { serviceError } = require('./errors');
+
+const getSigningSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const signTicketId = (ticketId) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(ticketId)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+const generateTicketCode = () => {
+  const ticketId = crypto.randomBytes(12).toString('base64url');
+  return `${ticketId}.${signTicketId(ticketId)}`;
+};
+
+const isValidTicketCode = (code) => {
+  if (typeof code !== 'string' || !getSigningSecret()) {
+    return false;
+  }
+
+  const [ticketId, signature, extra] = code.split('.');
+  if (!ticketId || !signature || extra !== undefined) {
+    return false;
+  }
+
+  const expected = Buffer.from(signTicketId(ticketId));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Issue missing tickets for every attendee on an order; safe to call repeatedly
+const issueTickets = async (db, orderId) => {
+  const attendees = await db.query(`
+    SELECT a.id
+    FROM order_attendees a
+    LEFT JOIN tickets t ON t.attendee_id = a.id
+    WHERE a.order_id = $1 AND t.id IS NULL
+    ORDER BY a.id
+  `, [orderId]);
+
+  for (const attendee of attendees.rows) {
+    await db.query(
+      'INSERT INTO tickets (order_id, attendee_id, code) VALUES ($1, $2, $3) ON CONFLICT (attendee_id) DO NOTHING',
+      [orderId, attendee.id, generateTicketCode()]
+    );
+  }
+
+  return attendees.rows.length;
+};
+
+const voidTickets = async (db, orderId) => {
+  await db.query(
+    "UPDATE tickets SET status = 'void', voided_at = CURRENT_TIMESTAMP WHERE order_id = $1 AND status = 'valid'",
+    [orderId]
+  );
+};
+
+const getTicketByCode = async (db, code) => {
+  if (!isValidTicketCode(code)) {
+    return null;
+  }
+
+  const result = await db.query(`
+    SELECT t.*, a.name AS attendee_name, a.email AS attendee_email, o.package_name
+    FROM tickets t
+    JOIN order_attendees a ON a.id = t.attendee_id
+    JOIN orders o ON o.id = t.order_id
+    WHERE t.code = $1
+  `, [code]);
+
+  return result.rows[0] || null;
+};
+
+const getOrderTickets = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT t.*, a.name AS attendee_name, a.email AS attendee_email
+    FROM tickets t
+    JOIN order_attendees a ON a.id = t.attendee_id
+    WHERE t.order_id = $1
+    ORDER BY t.id
+  `, [orderId]);
+  return result.rows;
+};
+
+// Mark a ticket as used at the door. Re-scans are counted and rejected with
+// TICKET_ALREADY_CHECKED_IN so staff can spot a shared or copied ticket.
+const checkInTicket = async (db, code, checkedInBy) => {
+  if (!isValidTicketCode(code)) {
+    throw serviceError('Ticket code is not valid', 'TICKET_INVALID', 404);
+  }
+
+  const result = await db.query(`
+    WITH scanned AS (
+      SELECT id, status, checked_in_at FROM tickets WHERE code = $1 FOR UPDATE
+    )
+    UPDATE tickets t
+    SET checked_in_at = CASE WHEN scanned.status = 'valid' AND scanned.checked_in_at IS NULL
+                          THEN CURRENT_TIMESTAMP ELSE t.checked_in_at END,
+        checked_in_by = CASE WHEN scanned.status = 'valid' AND scanned.checked_in_at IS NULL
+                          THEN $2 ELSE t.checked_in_by END,
+        scan_count = t.scan_count + 1
+    FROM scanned
+    WHERE t.id = scanned.id
+    RETURNING t.*, scanned.checked_in_at AS previous_check_in
+  `, [code, checkedInBy]);
+
+  const ticket = result.rows[0];
+  if (!ticket) {
+    throw serviceError('Ticket not found', 'TICKET_NOT_FOUND', 404);
+  }
+  if (ticket.status !== 'valid') {
+    throw serviceError('Ticket has been voided', 'TICKET_VOID', 409);
+  }
+  if (ticket.previous_check_in) {
+    const error = serviceError('Ticket has already been checked in', 'TICKET_ALREADY_CHECKED_IN', 409);
+    error.ticket = ticket;
+    throw error;
+  }
+
+  return getTicketByCode(db, code);
+};
+
+const getCheckInStats = async (db, eventId) => {
+  const result = await db.query(`
+    SELECT
+      o.package_name,
+      COUNT(*) AS total,
+      COUNT(t.checked_in_at) AS checked_in
+    FROM tickets t
+    JOIN orders o ON o.id = t.order_id
+    WHERE t.status = 'valid' AND o.event_id = $1
+    GROUP BY o.package_name
+    ORDER BY o.package_name
+  `, [eventId]);
+
+  const byPackage = result.rows.map(row => ({
+    package: row.package_name,
+    total: parseInt(row.total),
+    checkedIn: parseInt(row.checked_in)
+  }));
+
+  return {
+    total: byPackage.reduce((sum, row) => sum + row.total, 0),
+    checkedIn: byPackage.reduce((sum, row) => sum + row.checkedIn, 0),
+    byPackage: byPackage
+  };
+};
+
+module.exports = {
+  generateTicketCode,
+  isValidTicketCode,
+  issueTickets,
+  voidTickets,
+  getTicketByCode,
+  getOrderTickets,
+  checkInTicket,
+  getCheckInStats
+};
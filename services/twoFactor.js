@@ -0,0 +1,280 @@
+// TOTP two-factor authentication for admins (RFC 6238: 6 digits, 30 second
+// steps, HMAC-SHA1, which every authenticator app supports). Secrets are
+// stored encrypted with TOTP_ENCRYPTION_KEY, falling back to JWT_SECRET;
+// changing it invalidates every enrollment. Each admin also gets ten one-time
+// recovery codes, stored hashed. Roles in ADMIN_2FA_REQUIRED_ROLES (owner and
+// finance by default) must enroll before they can use the admin panel.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { serviceError } = require('./errors');
+const { ADMIN_ROLES } = require('./permissions');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const getRequiredRoles = () => {
+  if (process.env.ADMIN_2FA_REQUIRED_ROLES === undefined) {
+    return ['owner', 'finance'];
+  }
+  return process.env.ADMIN_2FA_REQUIRED_ROLES.split(',').map(role => role.trim()).filter(role => ADMIN_ROLES.includes(role));
+};
+
+const isTwoFactorRequired = (role) => getRequiredRoles().includes(role);
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '').digest();
+};
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64url
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  try {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw serviceError('The two-factor secret cannot be read; an owner has to reset two-factor authentication', 'TWO_FACTOR_UNREADABLE', 500);
+  }
+};
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+// The time step a code belongs to, allowing one step of clock drift either way; null when it matches none
+const matchCodeStep = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (const step of [currentStep, currentStep - 1, currentStep + 1]) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Replace an admin's recovery codes; the plain codes are only ever returned here
+const createRecoveryCodes = async (db, adminId) => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+
+  await db.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+  await db.query(`
+    INSERT INTO admin_recovery_codes (admin_id, code_hash)
+    SELECT $1, UNNEST($2::varchar[])
+  `, [adminId, codes.map(hashRecoveryCode)]);
+  return codes;
+};
+
+const countRecoveryCodes = async (db, adminId) => {
+  const result = await db.query(
+    'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL', [adminId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+const getTwoFactorStatus = async (db, admin) => {
+  const result = await db.query('SELECT totp_enabled_at FROM admins WHERE id = $1', [admin.id]);
+  const enabledAt = result.rows[0] ? result.rows[0].totp_enabled_at : null;
+  return {
+    enabled: Boolean(enabledAt),
+    enabledAt: enabledAt,
+    required: isTwoFactorRequired(admin.role),
+    recoveryCodesRemaining: enabledAt ? await countRecoveryCodes(db, admin.id) : 0
+  };
+};
+
+// Start enrolling: a new secret, its otpauth:// URI and the URI as a QR code.
+// Nothing changes until the admin confirms a code with confirmEnrollment.
+const startEnrollment = async (db, admin) => {
+  const current = await db.query('SELECT totp_enabled_at FROM admins WHERE id = $1', [admin.id]);
+  if (current.rows[0] && current.rows[0].totp_enabled_at) {
+    throw serviceError('Two-factor authentication is already on; turn it off first to change devices', 'TWO_FACTOR_ENABLED', 409);
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query('UPDATE admins SET totp_pending_secret = $2 WHERE id = $1', [admin.id, encryptSecret(secret)]);
+
+  const issuer = process.env.ADMIN_2FA_ISSUER || 'R-Talks Admin';
+  const label = encodeURIComponent(`${issuer}:${admin.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}` +
+    `&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+  return {
+    secret: secret,
+    otpauthUrl: otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl, { errorCorrectionLevel: 'M', margin: 2 })
+  };
+};
+
+// Turn two-factor on with a code from the app just enrolled; returns the recovery codes
+const confirmEnrollment = async (pool, adminId, code) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      'SELECT totp_pending_secret, totp_enabled_at FROM admins WHERE id = $1 FOR UPDATE', [adminId]
+    );
+    const admin = result.rows[0];
+    if (!admin || admin.totp_enabled_at) {
+      throw serviceError('Two-factor authentication is already on', 'TWO_FACTOR_ENABLED', 409);
+    }
+    if (!admin.totp_pending_secret) {
+      throw serviceError('Start with POST /api/admin/2fa/setup', 'TWO_FACTOR_NOT_STARTED', 400);
+    }
+
+    const step = matchCodeStep(decryptSecret(admin.totp_pending_secret), code);
+    if (step === null) {
+      throw serviceError('The code is not valid; check the time on your device', 'TWO_FACTOR_INVALID', 400);
+    }
+
+    await client.query(`
+      UPDATE admins
+      SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = CURRENT_TIMESTAMP,
+          totp_last_step = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [adminId, step]);
+    const recoveryCodes = await createRecoveryCodes(client, adminId);
+
+    await client.query('COMMIT');
+    return { recoveryCodes: recoveryCodes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Check the second sign-in step: a code from the app, or an unused recovery
+// code. An app code is accepted once, so a code seen over someone's shoulder
+// cannot be replayed.
+const verifyTwoFactor = async (db, adminId, input) => {
+  const invalid = () => serviceError('The two-factor code is not valid', 'TWO_FACTOR_INVALID', 401);
+
+  if (input.recoveryCode) {
+    const result = await db.query(`
+      UPDATE admin_recovery_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [adminId, hashRecoveryCode(input.recoveryCode)]);
+    if (result.rows.length === 0) {
+      throw invalid();
+    }
+    return { usedRecoveryCode: true, recoveryCodesRemaining: await countRecoveryCodes(db, adminId) };
+  }
+
+  const result = await db.query('SELECT totp_secret FROM admins WHERE id = $1 AND totp_enabled_at IS NOT NULL', [adminId]);
+  if (result.rows.length === 0) {
+    throw invalid();
+  }
+  const step = matchCodeStep(decryptSecret(result.rows[0].totp_secret), input.code);
+  if (step === null) {
+    throw invalid();
+  }
+
+  const used = await db.query(`
+    UPDATE admins SET totp_last_step = $2
+    WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+    RETURNING id
+  `, [adminId, step]);
+  if (used.rows.length === 0) {
+    throw invalid();
+  }
+  return { usedRecoveryCode: false };
+};
+
+// Replace the recovery codes of an admin who has two-factor on
+const regenerateRecoveryCodes = async (pool, adminId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query('SELECT totp_enabled_at FROM admins WHERE id = $1 FOR UPDATE', [adminId]);
+    if (!result.rows[0] || !result.rows[0].totp_enabled_at) {
+      throw serviceError('Two-factor authentication is off', 'TWO_FACTOR_DISABLED', 409);
+    }
+    const recoveryCodes = await createRecoveryCodes(client, adminId);
+    await client.query('COMMIT');
+    return { recoveryCodes: recoveryCodes };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Turn two-factor off and forget the secret and recovery codes. Admins whose
+// role requires it have to enroll again before doing anything else.
+const disableTwoFactor = async (db, adminId) => {
+  const result = await db.query(`
+    UPDATE admins
+    SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id
+  `, [adminId]);
+  if (result.rows.length === 0) {
+    throw serviceError(`Admin ${adminId} not found`, 'ADMIN_NOT_FOUND', 404);
+  }
+  await db.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { processOutbox } = require('../services/email');
+const { createMemoryTransport, createTransportFromEnv } = require('../services/mailer');
+
+// Keeps email_outbox rows in memory and answers the queries processOutbox runs.
+// Every queued row is due, so each call claims whatever is still pending.
+const createOutboxDb = (emails) => {
+  const rows = emails.map((email, index) => ({
+    id: index + 1,
+    order_id: null,
+    attachments: [],
+    status: 'pending',
+    attempts: 0,
+    last_error: null,
+    sent_at: null,
+    ...email
+  }));
+
+  const query = async (text, params) => {
+    if (text.includes("SET status = 'sending'")) {
+      const claimed = rows.filter(row => row.status === 'pending' || row.status === 'sending').slice(0, params[0]);
+      claimed.forEach(row => {
+        row.status = 'sending';
+        row.attempts++;
+      });
+      return { rows: claimed.map(row => ({ ...row })) };
+    }
+    const row = rows.find(candidate => candidate.id === params[0]);
+    if (text.includes("SET status = 'sent'")) {
+      Object.assign(row, { status: 'sent', sent_at: new Date(), last_error: null });
+    } else {
+      Object.assign(row, { status: params[1], last_error: params[2] });
+    }
+    return { rows: [], rowCount: 1 };
+  };
+
+  return { rows: rows, query: query };
+};
+
+// The memory transport, except that the first `failures` sends throw
+const createFlakyTransport = (failures) => {
+  const transport = createMemoryTransport();
+  let remaining = failures;
+  return {
+    ...transport,
+    send: async (message) => {
+      if (remaining > 0) {
+        remaining--;
+        throw new Error('Connection refused');
+      }
+      return transport.send(message);
+    }
+  };
+};
+
+const welcome = { to_email: 'asha@example.com', subject: 'Your tickets', body_text: 'See you there', body_html: '<p>See you there</p>' };
+
+test('processOutbox sends a queued email through the transport', async () => {
+  const db = createOutboxDb([welcome]);
+  const transport = createMemoryTransport();
+
+  assert.deepStrictEqual(await processOutbox(db, transport), { sent: 1, failed: 0 });
+
+  assert.strictEqual(transport.sent.length, 1);
+  assert.strictEqual(transport.sent[0].to, 'asha@example.com');
+  assert.strictEqual(transport.sent[0].subject, 'Your tickets');
+  assert.strictEqual(transport.sent[0].text, 'See you there');
+  assert.strictEqual(transport.sent[0].html, '<p>See you there</p>');
+  assert.deepStrictEqual(transport.sent[0].attachments, []);
+  assert.strictEqual(db.rows[0].status, 'sent');
+  assert.strictEqual(db.rows[0].attempts, 1);
+});
+
+test('processOutbox keeps a failed email pending and sends it on the next run', async () => {
+  const db = createOutboxDb([welcome]);
+  const transport = createFlakyTransport(1);
+
+  assert.deepStrictEqual(await processOutbox(db, transport), { sent: 0, failed: 1 });
+  assert.strictEqual(db.rows[0].status, 'pending');
+  assert.strictEqual(db.rows[0].last_error, 'Connection refused');
+  assert.strictEqual(transport.sent.length, 0);
+
+  assert.deepStrictEqual(await processOutbox(db, transport), { sent: 1, failed: 0 });
+  assert.strictEqual(db.rows[0].status, 'sent');
+  assert.strictEqual(db.rows[0].attempts, 2);
+  assert.strictEqual(db.rows[0].last_error, null);
+  assert.strictEqual(transport.sent.length, 1);
+});
+
+test('processOutbox gives up on an email once it has used every attempt', async () => {
+  const db = createOutboxDb([welcome]);
+  const transport = createFlakyTransport(Infinity);
+
+  for (let attempt = 1; attempt < 3; attempt++) {
+    await processOutbox(db, transport, { maxAttempts: 3 });
+    assert.strictEqual(db.rows[0].status, 'pending');
+  }
+  assert.deepStrictEqual(await processOutbox(db, transport, { maxAttempts: 3 }), { sent: 0, failed: 1 });
+
+  assert.strictEqual(db.rows[0].status, 'failed');
+  assert.strictEqual(db.rows[0].attempts, 3);
+  assert.strictEqual(db.rows[0].last_error, 'Connection refused');
+  assert.deepStrictEqual(await processOutbox(db, transport, { maxAttempts: 3 }), { sent: 0, failed: 0 });
+  assert.strictEqual(transport.sent.length, 0);
+});
+
+test('createTransportFromEnv only falls back to logging mail outside production', () => {
+  assert.strictEqual(createTransportFromEnv({}).name, 'console');
+  assert.strictEqual(createTransportFromEnv({ SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+  assert.strictEqual(createTransportFromEnv({ NODE_ENV: 'production' }), null);
+  assert.strictEqual(createTransportFromEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' }).name, 'console');
+  assert.strictEqual(createTransportFromEnv({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }).name, 'smtp');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const orderLifecycle = require('../services/orderLifecycle');
+
+const SECRET = 'test_key_secret';
+const FRONTEND_URL = 'http://frontend.test';
+
+process.env.RAZORPAY_KEY_SECRET = SECRET;
+process.env.FRONTEND_URL = FRONTEND_URL;
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.MAIL_TRANSPORT = 'memory';
+
+// The app never reaches Postgres: queries are answered from this order and recorded
+const order = { id: 42, status: 'pending', payment_link_id: 'plink_123' };
+const queries = [];
+test.mock.method(Pool.prototype, 'query', function (text, params, callback) {
+  if (typeof params === 'function') {
+    params(null, { rows: [{ now: new Date() }] });
+    return undefined;
+  }
+  queries.push({ text: text, params: params });
+  const rows = /^SELECT \* FROM orders WHERE id = \$1/.test(text) && String(params[0]) === String(order.id) ? [order] : [];
+  return Promise.resolve({ rows: rows, rowCount: rows.length });
+});
+
+// server.js picks these up when it is required below
+const transitions = test.mock.method(orderLifecycle, 'commitOrderTransition', async (pool, orderId, toStatus) => ({
+  changed: true,
+  order: { ...order, status: toStatus }
+}));
+
+const app = require('../server');
+
+const paymentLink = { status: 'paid', payments: [{ payment_id: 'pay_456' }] };
+app.set('razorpay', {
+  paymentLink: {
+    fetch: async () => paymentLink
+  }
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  queries.length = 0;
+  transitions.mock.resetCalls();
+  paymentLink.status = 'paid';
+});
+
+const callback = async (overrides = {}) => {
+  const params = {
+    paymentLinkId: 'plink_123',
+    referenceId: 'order_42',
+    status: 'paid',
+    paymentId: 'pay_456',
+    ...overrides
+  };
+  const signature = overrides.signature || crypto
+    .createHmac('sha256', SECRET)
+    .update(`${params.paymentLinkId}|${params.referenceId}|${params.status}|${params.paymentId}`)
+    .digest('hex');
+  const query = new URLSearchParams({
+    order_id: String(order.id),
+    razorpay_payment_id: params.paymentId,
+    razorpay_payment_link_id: params.paymentLinkId,
+    razorpay_payment_link_reference_id: params.referenceId,
+    razorpay_payment_link_status: params.status,
+    razorpay_signature: signature
+  });
+
+  const response = await fetch(`${baseUrl}/api/payment-success?${query}`, { redirect: 'manual' });
+  assert.strictEqual(response.status, 302);
+  return new URL(response.headers.get('location'));
+};
+
+const verificationUpdates = () => queries.filter(query => query.text.includes('payment_verification_status'));
+
+test('a verified callback marks the order paid and redirects with a document token', async () => {
+  const location = await callback();
+
+  assert.strictEqual(location.origin, FRONTEND_URL);
+  assert.strictEqual(location.searchParams.get('payment'), 'success');
+  assert.strictEqual(location.searchParams.get('order'), '42');
+  assert.ok(location.searchParams.get('token'));
+
+  assert.strictEqual(transitions.mock.callCount(), 1);
+  const [, orderId, toStatus, options] = transitions.mock.calls[0].arguments;
+  assert.strictEqual(String(orderId), '42');
+  assert.strictEqual(toStatus, 'paid');
+  assert.strictEqual(options.fields.payment_id, 'pay_456');
+  assert.strictEqual(options.fields.payment_verification_status, 'verified');
+});
+
+test('a callback with an invalid signature is recorded and not marked paid', async () => {
+  const location = await callback({ signature: 'forged' });
+
+  assert.strictEqual(location.searchParams.get('payment'), 'failed');
+  assert.strictEqual(transitions.mock.callCount(), 0);
+  const updates = verificationUpdates();
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].params[0], 'signature_invalid');
+});
+
+test('a signed callback for a link Razorpay does not report as paid is not marked paid', async () => {
+  paymentLink.status = 'created';
+  const location = await callback();
+
+  assert.strictEqual(location.searchParams.get('payment'), 'failed');
+  assert.strictEqual(transitions.mock.callCount(), 0);
+  const updates = verificationUpdates();
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].params[0], 'status_mismatch');
+});
+
+test('a callback whose link status is not paid fails without looking up the order', async () => {
+  const location = await callback({ status: 'cancelled' });
+
+  assert.strictEqual(location.searchParams.get('payment'), 'failed');
+  assert.strictEqual(transitions.mock.callCount(), 0);
+  assert.strictEqual(queries.length, 0);
+});
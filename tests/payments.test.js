@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyPaymentLinkSignature, reconcilePaymentLink } = require('../services/payments');
+
+const SECRET = 'test_key_secret';
+
+const signedParams = (overrides = {}) => {
+  const params = {
+    paymentLinkId: 'plink_123',
+    referenceId: 'order_42',
+    status: 'paid',
+    paymentId: 'pay_456',
+    ...overrides
+  };
+  params.signature = crypto
+    .createHmac('sha256', SECRET)
+    .update(`${params.paymentLinkId}|${params.referenceId}|${params.status}|${params.paymentId}`)
+    .digest('hex');
+  return params;
+};
+
+// Answers paymentLink.fetch with the given link and records what was asked for
+const stubRazorpay = (paymentLink) => {
+  const fetched = [];
+  return {
+    fetched: fetched,
+    paymentLink: {
+      fetch: async (id) => {
+        fetched.push(id);
+        return paymentLink;
+      }
+    }
+  };
+};
+
+const order = { id: 42, payment_link_id: 'plink_123' };
+
+test('verifyPaymentLinkSignature accepts a signature made with the key secret', () => {
+  assert.strictEqual(verifyPaymentLinkSignature(signedParams(), SECRET), true);
+});
+
+test('verifyPaymentLinkSignature rejects a changed parameter, a wrong secret and missing values', () => {
+  const params = signedParams();
+  assert.strictEqual(verifyPaymentLinkSignature({ ...params, paymentId: 'pay_other' }, SECRET), false);
+  assert.strictEqual(verifyPaymentLinkSignature(params, 'another_secret'), false);
+  assert.strictEqual(verifyPaymentLinkSignature({ ...params, signature: undefined }, SECRET), false);
+  assert.strictEqual(verifyPaymentLinkSignature({ ...params, paymentLinkId: undefined }, SECRET), false);
+  assert.strictEqual(verifyPaymentLinkSignature(params, undefined), false);
+});
+
+test('reconcilePaymentLink verifies a paid link that lists the payment', async () => {
+  const razorpay = stubRazorpay({ status: 'paid', payments: [{ payment_id: 'pay_456' }] });
+  assert.strictEqual(await reconcilePaymentLink(razorpay, order, signedParams(), SECRET), 'verified');
+  assert.deepStrictEqual(razorpay.fetched, ['plink_123']);
+});
+
+test('reconcilePaymentLink does not ask Razorpay when the signature is invalid', async () => {
+  const razorpay = stubRazorpay({ status: 'paid', payments: [] });
+  const params = { ...signedParams(), signature: 'forged' };
+  assert.strictEqual(await reconcilePaymentLink(razorpay, order, params, SECRET), 'signature_invalid');
+  assert.deepStrictEqual(razorpay.fetched, []);
+});
+
+test('reconcilePaymentLink rejects a link that belongs to another order', async () => {
+  const razorpay = stubRazorpay({ status: 'paid', payments: [] });
+  const params = signedParams({ paymentLinkId: 'plink_other' });
+  assert.strictEqual(await reconcilePaymentLink(razorpay, order, params, SECRET), 'link_mismatch');
+  assert.deepStrictEqual(razorpay.fetched, []);
+});
+
+test('reconcilePaymentLink reports a missing gateway', async () => {
+  assert.strictEqual(await reconcilePaymentLink(null, order, signedParams(), SECRET), 'gateway_unavailable');
+});
+
+test('reconcilePaymentLink rejects a link Razorpay does not report as paid', async () => {
+  const razorpay = stubRazorpay({ status: 'created', payments: [] });
+  assert.strictEqual(await reconcilePaymentLink(razorpay, order, signedParams(), SECRET), 'status_mismatch');
+});
+
+test('reconcilePaymentLink rejects a payment the link does not list', async () => {
+  const razorpay = stubRazorpay({ status: 'paid', payments: [{ payment_id: 'pay_other' }] });
+  assert.strictEqual(await reconcilePaymentLink(razorpay, order, signedParams(), SECRET), 'payment_mismatch');
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Pool } = require('pg');
+const { commitOrderTransition } = require('../services/orderLifecycle');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+process.env.MAIL_TRANSPORT = 'memory';
+
+// One package and its orders, kept in memory. Each query yields before it is
+// answered, so concurrent requests interleave the way they would against
+// Postgres. A single statement is applied in one step, as the row lock makes it.
+let ticketPackage;
+let orders;
+
+const resetStore = ({ capacity, seatsReserved = 0 }) => {
+  ticketPackage = {
+    id: 1, event_id: 1, name: 'Standard', price: '500.00', price_tiers: null,
+    is_active: true, capacity: capacity, seats_reserved: seatsReserved
+  };
+  orders = [];
+};
+
+const answer = (text, params) => {
+  if (/^\s*(BEGIN|COMMIT|ROLLBACK)/.test(text)) {
+    return [];
+  }
+  if (/UPDATE event_packages\s+SET seats_reserved = seats_reserved \+ \$2/.test(text)) {
+    // Capacity is only enforced if the statement itself checks it
+    const quantity = params[1];
+    const guarded = text.includes('(capacity IS NULL OR seats_reserved + $2 <= capacity)');
+    const fits = ticketPackage.capacity === null || ticketPackage.seats_reserved + quantity <= ticketPackage.capacity;
+    if (params[0] !== ticketPackage.id || !ticketPackage.is_active || (guarded && !fits)) {
+      return [];
+    }
+    ticketPackage.seats_reserved += quantity;
+    return [ticketPackage];
+  }
+  if (text.includes('AS available')) {
+    return params[0] === ticketPackage.id ? [{ available: ticketPackage.is_active }] : [];
+  }
+  if (text.startsWith('INSERT INTO orders')) {
+    const order = { id: orders.length + 1, status: params[13], package_id: params[4], quantity: params[7], seat_held: true };
+    orders.push(order);
+    return [{ id: order.id }];
+  }
+  if (/^\s*(INSERT INTO order_status_history|INSERT INTO order_attendees|UPDATE tickets)/.test(text)) {
+    return [];
+  }
+  if (text.includes('WITH previous AS')) {
+    // transitionOrder: move the order and give back or take its seats when seat_held changes
+    const order = orders.find(candidate => candidate.id === params[0]);
+    if (!order || !params[2].includes(order.status)) {
+      return [];
+    }
+    const previous = { previous_status: order.status, previous_seat_held: order.seat_held };
+    order.status = params[1];
+    if (text.includes('seat_held = false')) {
+      order.seat_held = false;
+    } else if (text.includes('seat_held = o.package_id IS NOT NULL')) {
+      order.seat_held = order.package_id !== null;
+    }
+    if (order.seat_held !== previous.previous_seat_held) {
+      const change = (order.seat_held ? 1 : -1) * order.quantity;
+      ticketPackage.seats_reserved = Math.max(ticketPackage.seats_reserved + change, 0);
+    }
+    return [{ ...order, ...previous }];
+  }
+  throw new Error(`Unexpected query: ${text}`);
+};
+
+const query = async (text, params) => {
+  await new Promise(resolve => setImmediate(resolve));
+  const rows = answer(text, params);
+  return { rows: rows, rowCount: rows.length };
+};
+
+test.mock.method(Pool.prototype, 'query', function (text, params, callback) {
+  if (typeof params === 'function') {
+    params(null, { rows: [{ now: new Date() }] });
+    return undefined;
+  }
+  return query(text, params);
+});
+test.mock.method(Pool.prototype, 'connect', async () => ({ query: query, release: () => {} }));
+
+const app = require('../server');
+const pool = new Pool();
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const placeOrder = async (attendeeCount = 1) => {
+  const attendees = Array.from({ length: attendeeCount }, (_, index) => ({
+    name: `Attendee ${index + 1}`,
+    email: `attendee${index + 1}@example.com`
+  }));
+  const response = await fetch(`${baseUrl}/api/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Asha Rao', email: 'asha@example.com', phone: '9876543210', package_id: 1, attendees: attendees })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('two orders racing for the last seat cannot both succeed', async () => {
+  resetStore({ capacity: 1 });
+
+  const results = await Promise.all([placeOrder(), placeOrder()]);
+  const created = results.filter(result => result.status === 200);
+  const refused = results.filter(result => result.status === 409);
+
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(refused.length, 1);
+  assert.strictEqual(refused[0].body.code, 'PACKAGE_SOLD_OUT');
+  assert.strictEqual(ticketPackage.seats_reserved, 1);
+  assert.strictEqual(orders.length, 1);
+});
+
+test('a group order larger than the seats left is refused without reserving any', async () => {
+  resetStore({ capacity: 3, seatsReserved: 2 });
+
+  const result = await placeOrder(2);
+
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual(result.body.code, 'PACKAGE_SOLD_OUT');
+  assert.strictEqual(ticketPackage.seats_reserved, 2);
+  assert.strictEqual(orders.length, 0);
+});
+
+test('a group order reserves one seat per attendee', async () => {
+  resetStore({ capacity: 3 });
+
+  const result = await placeOrder(3);
+
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(ticketPackage.seats_reserved, 3);
+  assert.strictEqual((await placeOrder()).status, 409);
+});
+
+test('expiring a pending order releases its seats for the next buyer', async () => {
+  resetStore({ capacity: 2 });
+  const first = await placeOrder(2);
+  assert.strictEqual((await placeOrder()).status, 409);
+
+  await commitOrderTransition(pool, first.body.orderId, 'expired', { reason: 'Payment link expired' });
+
+  assert.strictEqual(ticketPackage.seats_reserved, 0);
+  assert.strictEqual((await placeOrder()).status, 200);
+  assert.strictEqual(ticketPackage.seats_reserved, 1);
+});
+
+test('cancelling a pending order releases its seats for the next buyer', async () => {
+  resetStore({ capacity: 1 });
+  const first = await placeOrder();
+  assert.strictEqual((await placeOrder()).status, 409);
+
+  await commitOrderTransition(pool, first.body.orderId, 'cancelled', { reason: 'Cancelled by admin', changedBy: 'admin' });
+
+  assert.strictEqual(ticketPackage.seats_reserved, 0);
+  assert.strictEqual((await placeOrder()).status, 200);
+});
+
+test('a seat is released only once when a released order is moved again', async () => {
+  resetStore({ capacity: 1 });
+  const first = await placeOrder();
+
+  await commitOrderTransition(pool, first.body.orderId, 'failed', { reason: 'Payment failed' });
+  await commitOrderTransition(pool, first.body.orderId, 'expired', { reason: 'Payment link expired' });
+
+  assert.strictEqual(ticketPackage.seats_reserved, 0);
+});